@@ -0,0 +1,225 @@
+// Prerenders the portfolio into dist/ so crawlers, link previews and visitors without JavaScript get the full page.
+// The sections are rendered with the same templates the site uses in the browser, which then hydrates them.
+// Also writes the blog's Atom feed, feed.xml.
+//
+//     node build.js
+//     SITE_URL=https://example.com/ node build.js    (when publishing somewhere other than GitHub Pages)
+
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { blogBindings, postSummary } from './js/blog.js';
+import { config } from './js/config.js';
+import { contentOf, loadContentSections, loadPosts, projectSlug, validateContent } from './js/content.js';
+import { t } from './js/i18n.js';
+import { markdownToHtml } from './js/markdown.js';
+import { contentBindings, html, safeUrl } from './js/render.js';
+import { DEFAULT_PALETTE, THEMES } from './js/theme.js';
+
+const ROOT = path.dirname(fileURLToPath(import.meta.url));
+const OUT_DIR = path.join(ROOT, 'dist');
+const SITE_URL = new URL(process.env.SITE_URL || 'https://charuhere.github.io/charuportfolio/').href;
+// Copied as they are; content files are copied as they are loaded
+const STATIC_FILES = ['js', 'style.css', 'assets'];
+
+const absoluteUrl = (url) => new URL(url, SITE_URL).href;
+const isLink = (url) => url !== '#' && safeUrl(url) === url;
+// For JSON inside <script>, which must not contain a closing tag
+const scriptJson = (value) => JSON.stringify(value).replace(/</g, '\\u003c');
+
+async function readContent(usedFiles) {
+    const source = path.join(ROOT, 'content.json');
+    if (!fs.existsSync(source)) return validateContent(contentOf(config));
+    const readJson = (file) => {
+        usedFiles.push(file);
+        return JSON.parse(fs.readFileSync(file, 'utf8'));
+    };
+    // Unlike the browser, which falls back to the built-in content, a build with invalid content fails
+    return loadContentSections(readJson(source), (section) => readJson(path.resolve(path.dirname(source), section)));
+}
+
+async function readPosts(content, usedFiles) {
+    const manifest = path.join(ROOT, config.blog.manifest);
+    if (!fs.existsSync(manifest)) return [];
+    const readFile = (file) => {
+        usedFiles.push(file);
+        return fs.readFileSync(file, 'utf8');
+    };
+    return loadPosts(JSON.parse(readFile(manifest)), (file) => readFile(path.resolve(path.dirname(manifest), file)), content);
+}
+
+// Writes a binding from contentBindings() or blogBindings() into the element with that id. The targets are empty (or hold
+// placeholder text) in index.html, so the first closing tag after the opening one is the element's own.
+function applyBinding(page, id, { markup, attributes = {} }) {
+    const match = page.match(new RegExp(`<(\\w+)([^>]*\\sid="${id}"[^>]*)>`));
+    if (!match) throw new Error(`index.html has no element with id="${id}"`);
+    const [openingTag, tag] = match;
+    let attributeText = match[2];
+    Object.entries(attributes).forEach(([name, value]) => {
+        const attribute = String(html` ${name}="${value}"`);
+        const existing = new RegExp(`\\s${name}="[^"]*"`);
+        attributeText = existing.test(attributeText) ? attributeText.replace(existing, () => attribute) : attributeText + attribute;
+    });
+    const start = match.index;
+    let end = start + openingTag.length;
+    let replacement = `<${tag}${attributeText}>`;
+    if (markup) {
+        replacement += markup;
+        end = page.indexOf(`</${tag}>`, end);
+    }
+    return page.slice(0, start) + replacement + page.slice(end);
+}
+
+function describe(content) {
+    const bio = content.about.bio.replace(/\s+/g, ' ').trim();
+    if (bio.length <= 160) return bio;
+    return `${bio.slice(0, bio.lastIndexOf(' ', 159))}…`;
+}
+
+function structuredData(content) {
+    const person = {
+        '@type': 'Person',
+        '@id': `${SITE_URL}#person`,
+        name: content.name,
+        jobTitle: content.title,
+        description: content.about.bio,
+        url: SITE_URL,
+        image: absoluteUrl(content.about.picture),
+        sameAs: Object.values(content.socials).filter(isLink),
+        knowsAbout: content.skills.map(skill => skill.name)
+    };
+    const projects = content.projects.map(project => ({
+        '@type': 'CreativeWork',
+        '@id': `${SITE_URL}#projects/${projectSlug(project)}`,
+        name: project.title,
+        description: project.description,
+        url: `${SITE_URL}#projects/${projectSlug(project)}`,
+        image: absoluteUrl(project.image),
+        keywords: project.stack.join(', '),
+        sameAs: Object.values(project.links).filter(isLink),
+        creator: { '@id': person['@id'] }
+    }));
+    return { '@context': 'https://schema.org', '@graph': [person, ...projects] };
+}
+
+function headTags(content) {
+    const title = `${content.name} - ${content.title}`;
+    const description = describe(content);
+    const image = absoluteUrl(content.about.picture);
+    return html`<meta name="description" content="${description}">
+    <link rel="canonical" href="${SITE_URL}">
+    <meta property="og:type" content="profile">
+    <meta property="og:url" content="${SITE_URL}">
+    <meta property="og:title" content="${title}">
+    <meta property="og:description" content="${description}">
+    <meta property="og:image" content="${image}">
+    <meta name="twitter:card" content="summary">
+    <meta name="twitter:title" content="${title}">
+    <meta name="twitter:description" content="${description}">
+    <meta name="twitter:image" content="${image}">
+    <link rel="alternate" type="application/atom+xml" href="${SITE_URL}feed.xml" title="${content.name} - ${t('blog.title')}">
+    <script type="application/ld+json">` + scriptJson(structuredData(content)) + '</script>';
+}
+
+function renderPage(content, posts) {
+    let page = fs.readFileSync(path.join(ROOT, 'index.html'), 'utf8');
+    Object.entries({ ...contentBindings(content), ...blogBindings(posts) }).forEach(([id, binding]) => {
+        page = applyBinding(page, id, binding);
+    });
+    page = page.replace(/<!-- prerender:head.*?-->/, () => headTags(content));
+    // The content the page was rendered from, read by init() instead of fetching content.json again
+    return page.replace('<script type="module">',
+        () => `<script type="application/json" id="prerendered-content">${scriptJson(content)}</script>\n    <script type="module">`);
+}
+
+function sitemap() {
+    const today = new Date().toISOString().slice(0, 10);
+    // One page: project details, blog posts and the CV are hash routes on it
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${html`  <url><loc>${SITE_URL}</loc><lastmod>${today}</lastmod></url>`}
+</urlset>
+`;
+}
+
+// Dates are days, so entries are timestamped at midnight UTC
+function feed(content, posts) {
+    const timestamp = (day) => `${day}T00:00:00Z`;
+    const entries = posts.map(post => {
+        const url = `${SITE_URL}#blog/${post.slug}`;
+        // Relative links and images are resolved, since feed readers show the post away from the site
+        const { markup } = markdownToHtml(post.markdown, { headingOffset: 1, baseUrl: SITE_URL });
+        const cover = post.cover ? html`<p><img src="${absoluteUrl(post.cover)}" alt=""></p>` : '';
+        return html`  <entry>
+    <title>${post.title}</title>
+    <link href="${url}"/>
+    <id>${url}</id>
+    <updated>${timestamp(post.date)}</updated>
+${post.tags.map(tag => html`    <category term="${tag}"/>
+`)}    <summary>${postSummary(post)}</summary>
+    <content type="html">${String(cover) + String(markup)}</content>
+  </entry>
+`;
+    });
+    return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+${html`  <title>${content.name} - ${t('blog.title')}</title>
+  <link href="${SITE_URL}#blog"/>
+  <link rel="self" href="${SITE_URL}feed.xml"/>
+  <id>${SITE_URL}#blog</id>
+  <updated>${posts.length ? timestamp(posts[0].date) : new Date().toISOString()}</updated>
+  <author><name>${content.name}</name></author>
+${entries}`}</feed>
+`;
+}
+
+// Install colors come from the default palette, so the installed app matches a first visit
+function manifest() {
+    const colors = THEMES[DEFAULT_PALETTE].dark;
+    const source = JSON.parse(fs.readFileSync(path.join(ROOT, 'manifest.webmanifest'), 'utf8'));
+    return `${JSON.stringify({ ...source, theme_color: colors.accent, background_color: colors.bg }, null, 4)}\n`;
+}
+
+// A new version whenever any published file changes, so visitors' service workers replace their caches
+function serviceWorker() {
+    const hash = crypto.createHash('sha256');
+    const addFiles = (directory) => fs.readdirSync(directory, { withFileTypes: true })
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .forEach(entry => {
+            const file = path.join(directory, entry.name);
+            if (entry.isDirectory()) addFiles(file);
+            else hash.update(entry.name).update(fs.readFileSync(file));
+        });
+    addFiles(OUT_DIR);
+    const source = fs.readFileSync(path.join(ROOT, 'sw.js'), 'utf8');
+    return source.replace(/const CACHE_VERSION = '[^']*';/, `const CACHE_VERSION = '${hash.digest('hex').slice(0, 12)}';`);
+}
+
+async function build() {
+    const contentFiles = [];
+    const content = await readContent(contentFiles);
+    const posts = await readPosts(content, contentFiles);
+
+    fs.rmSync(OUT_DIR, { recursive: true, force: true });
+    fs.mkdirSync(OUT_DIR, { recursive: true });
+    [...STATIC_FILES, ...contentFiles.map(file => path.relative(ROOT, file))].forEach(file => {
+        fs.cpSync(path.join(ROOT, file), path.join(OUT_DIR, file), { recursive: true });
+    });
+    // Built from the built-in content: publish that as content.json, which the page loads and sw.js precaches
+    if (!fs.existsSync(path.join(OUT_DIR, 'content.json'))) {
+        fs.writeFileSync(path.join(OUT_DIR, 'content.json'), `${JSON.stringify(content, null, 4)}\n`);
+    }
+    fs.writeFileSync(path.join(OUT_DIR, 'index.html'), renderPage(content, posts));
+    fs.writeFileSync(path.join(OUT_DIR, 'feed.xml'), feed(content, posts));
+    fs.writeFileSync(path.join(OUT_DIR, 'sitemap.xml'), sitemap());
+    fs.writeFileSync(path.join(OUT_DIR, 'robots.txt'), `User-agent: *\nAllow: /\n\nSitemap: ${SITE_URL}sitemap.xml\n`);
+    fs.writeFileSync(path.join(OUT_DIR, 'manifest.webmanifest'), manifest());
+    fs.writeFileSync(path.join(OUT_DIR, 'sw.js'), serviceWorker()); // Last, so the hash covers everything else
+    console.log(`✅ Prerendered ${SITE_URL} into ${path.relative(ROOT, OUT_DIR)}/`);
+}
+
+build().catch(error => {
+    console.error('❌ Build failed:\n', error);
+    process.exitCode = 1;
+});
@@ -0,0 +1,92 @@
+// Anonymous usage events (section views, project links, CV opens, theme choices, contact outcomes), batched
+// and handed to a sink. No cookies or identifiers: an event is its name, a few details, the path and the time.
+
+const ANALYTICS_LOG_KEY = 'analyticsLog';
+const ANALYTICS_LOG_LIMIT = 500;
+
+// Each sink takes a batch of events and returns whether it was accepted; rejected batches are retried
+const ANALYTICS_SINKS = {
+    // A string body is sent as text/plain, which needs no CORS preflight, so any endpoint can collect it
+    beacon: (settings) => (events) => navigator.sendBeacon(settings.endpoint, JSON.stringify({ events })),
+    console: () => (events) => {
+        console.info('Analytics:', events);
+        return true;
+    },
+    // Kept in localStorage for development; copy(localStorage.analyticsLog) in the console saves it to a file
+    local: () => (events) => {
+        let log;
+        try {
+            log = JSON.parse(localStorage.getItem(ANALYTICS_LOG_KEY)) || [];
+        } catch (error) {
+            log = [];
+        }
+        localStorage.setItem(ANALYTICS_LOG_KEY, JSON.stringify([...log, ...events].slice(-ANALYTICS_LOG_LIMIT)));
+        return true;
+    }
+};
+
+function getAnalyticsSink(settings) {
+    const override = new URLSearchParams(window.location.search).get('analytics');
+    const name = ANALYTICS_SINKS[override] ? override : settings.sink;
+    if (name === 'beacon' && (!settings.endpoint || !('sendBeacon' in navigator))) return null;
+    return ANALYTICS_SINKS[name] ? ANALYTICS_SINKS[name](settings) : null;
+}
+
+// Do Not Track, and its successor Global Privacy Control
+function visitorOptedOut() {
+    return navigator.doNotTrack === '1' || window.doNotTrack === '1' || navigator.globalPrivacyControl === true;
+}
+
+// settings is config.analytics: whether it is enabled, the sink and its endpoint, and the batching limits.
+// Set up before the theme is applied, so the initial theme is known and only later choices are recorded.
+export function setupAnalytics(root, settings) {
+    if (!settings || !settings.enabled || visitorOptedOut()) return;
+    const send = getAnalyticsSink(settings);
+    if (!send) return;
+
+    let queue = [];
+    let timer = 0;
+    const flush = () => {
+        clearTimeout(timer);
+        timer = 0;
+        if (!queue.length) return;
+        const batch = queue;
+        queue = [];
+        if (!send(batch)) queue = [...batch, ...queue].slice(-ANALYTICS_LOG_LIMIT);
+    };
+    const track = (name, detail = {}) => {
+        queue.push({ name, ...detail, page: window.location.pathname, time: new Date().toISOString() });
+        if (queue.length >= settings.batchSize) flush();
+        else if (!timer) timer = setTimeout(flush, settings.flushSeconds * 1000);
+    };
+    // The last chance to send anything before the visitor leaves or the tab is discarded
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') flush();
+    });
+    window.addEventListener('pagehide', flush);
+
+    document.addEventListener('section:change', ({ detail }) => track('section-view', { section: detail.id }));
+
+    let theme = null;
+    document.addEventListener('theme:change', ({ detail }) => {
+        // Following the system color scheme changes neither, and isn't a choice
+        const changed = theme && (theme.palette !== detail.palette || theme.mode !== detail.mode);
+        theme = { palette: detail.palette, mode: detail.mode };
+        if (changed) track('theme-choice', theme);
+    });
+
+    document.addEventListener('contact:outcome', ({ detail }) => track('contact', detail));
+
+    root.addEventListener('click', (e) => {
+        const link = e.target.closest('a');
+        if (!link) return;
+        if (link.id === 'download-cv') {
+            track('cv-view');
+        } else if (link.dataset.project) {
+            track('project-link', { project: link.dataset.project, link: link.dataset.link });
+        } else {
+            const match = (link.getAttribute('href') || '').match(/^#projects\/([a-z0-9-]+)$/);
+            if (match) track('project-link', { project: match[1], link: 'details' });
+        }
+    });
+}
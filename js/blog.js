@@ -0,0 +1,159 @@
+// The blog: the post list with tag filters, #blog/<slug> post pages with a table of contents, and links to
+// related posts on the project cards. Posts are Markdown files listed in the manifest at config.blog.manifest.
+
+import { fetchJson, loadPosts } from './content.js';
+import { formatDate, t } from './i18n.js';
+import { markdownExcerpt, markdownToHtml } from './markdown.js';
+import { html, render, safeUrl } from './render.js';
+
+// #blog/<slug>, optionally followed by /<heading id> from the table of contents
+const POST_ROUTE = /^#blog\/([a-z0-9-]+)(?:\/([\p{L}\p{N}-]+))?$/u;
+// Headings share the page with the sections, so their ids get a prefix that keeps them apart
+const HEADING_ID_PREFIX = 'post-';
+
+async function fetchText(url) {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`${url} responded with ${response.status}`);
+    return response.text();
+}
+
+// The post route in the hash, or null; a malformed escape such as #% is no route rather than an error
+function matchPostRoute(hash) {
+    try {
+        return decodeURIComponent(hash).match(POST_ROUTE);
+    } catch (error) {
+        return null;
+    }
+}
+
+export function postSummary(post) {
+    return post.summary || markdownExcerpt(post.markdown);
+}
+
+function dateTemplate(day) {
+    return html`<time class="post-date" datetime="${day}" data-date="${day}">${formatDate(day)}</time>`;
+}
+
+function tagsTemplate(tags) {
+    return html`<div class="post-tags">${tags.map(tag => html`<button type="button" class="post-tag" data-tag="${tag}" aria-label="${t('blog.byTag', { tag })}" data-i18n-aria-label="blog.byTag">${tag}</button>`)}</div>`;
+}
+
+function postCardTemplate(post) {
+    const cover = post.cover ? html`<a href="#blog/${post.slug}" tabindex="-1" aria-hidden="true"><img src="${safeUrl(post.cover)}" alt="" class="post-cover" loading="lazy"></a>` : '';
+    return html`<article class="post-card" data-slug="${post.slug}" data-reveal="slide-up" data-reveal-stagger="100">${cover}<div class="post-card-body"><h3 class="post-title"><a href="#blog/${post.slug}">${post.title}</a></h3>${dateTemplate(post.date)}<p class="post-summary">${postSummary(post)}</p>${tagsTemplate(post.tags)}</div></article>`;
+}
+
+function blogFilterTemplate(posts) {
+    const tags = [...new Set(posts.flatMap(post => post.tags))].sort((a, b) => a.localeCompare(b));
+    return html`<div class="filter-chips" role="group" aria-label="${t('blog.filterLabel')}" data-i18n-aria-label="blog.filterLabel"><button type="button" class="filter-chip active" data-tag="" aria-pressed="true" data-i18n="projects.all">${t('projects.all')}</button>${tags.map(tag => html`<button type="button" class="filter-chip" data-tag="${tag}" aria-pressed="false">${tag}</button>`)}</div>`;
+}
+
+function backLinkTemplate() {
+    return html`<a href="#blog" class="post-back"><i class="fa-solid fa-arrow-left"></i> <span data-i18n="blog.back">${t('blog.back')}</span></a>`;
+}
+
+function postTemplate(post) {
+    const { markup, headings } = markdownToHtml(post.markdown, { idPrefix: HEADING_ID_PREFIX, headingOffset: 2 });
+    const contents = headings.filter(heading => heading.level <= 3);
+    const toc = contents.length
+        ? html`<nav class="post-toc" aria-label="${t('blog.contents')}" data-i18n-aria-label="blog.contents"><p class="post-toc-title" data-i18n="blog.contents">${t('blog.contents')}</p><ol>${contents.map(heading => html`<li class="toc-level-${heading.level}"><a href="#blog/${post.slug}/${heading.id}">${heading.text}</a></li>`)}</ol></nav>`
+        : '';
+    return html`${backLinkTemplate()}<header class="post-header"><h3 id="blog-post-title" tabindex="-1">${post.title}</h3>${dateTemplate(post.date)}${tagsTemplate(post.tags)}</header>${post.cover ? html`<img src="${safeUrl(post.cover)}" alt="" class="post-cover">` : ''}${toc}<div class="post-body">${markup}</div>`;
+}
+
+// What the blog's elements receive, by id, as contentBindings() does for the content. setupBlog() applies
+// these in the browser and build.js writes them into the prerendered page.
+export function blogBindings(posts) {
+    return {
+        'blog-filter': { markup: blogFilterTemplate(posts) },
+        'blog-list': { markup: html`${posts.map(postCardTemplate)}` }
+    };
+}
+
+// settings is config.blog; content is the portfolio content, whose projects posts may link to
+export async function setupBlog(root, settings, content) {
+    const section = root.querySelector('#blog');
+    const filterBar = root.querySelector('#blog-filter');
+    const list = root.querySelector('#blog-list');
+    const emptyMessage = root.querySelector('#blog-empty');
+    const article = root.querySelector('#blog-post');
+
+    let posts;
+    try {
+        const manifestUrl = new URL(settings.manifest, document.baseURI);
+        posts = await loadPosts(await fetchJson(manifestUrl), (file) => fetchText(new URL(file, manifestUrl)), content);
+    } catch (error) {
+        console.error(`Could not load the posts listed in ${settings.manifest}.\n`, error);
+        filterBar.replaceChildren();
+        render(list, html`<p data-i18n="blog.unavailable">${t('blog.unavailable')}</p>`);
+        return;
+    }
+    Object.entries(blogBindings(posts)).forEach(([id, { markup }]) => render(root.querySelector(`#${id}`), markup));
+
+    let activeTag = '';
+    const showList = () => {
+        article.hidden = true;
+        filterBar.hidden = false;
+        list.hidden = false;
+        list.querySelectorAll('.post-card').forEach(card => {
+            const post = posts.find(item => item.slug === card.dataset.slug);
+            card.hidden = Boolean(activeTag) && !post.tags.includes(activeTag);
+        });
+        emptyMessage.hidden = Boolean(list.querySelector('.post-card:not([hidden])'));
+    };
+    const setTag = (tag) => {
+        activeTag = tag;
+        filterBar.querySelectorAll('.filter-chip').forEach(chip => {
+            const active = chip.dataset.tag === tag;
+            chip.classList.toggle('active', active);
+            chip.setAttribute('aria-pressed', String(active));
+        });
+        if (article.hidden) showList();
+    };
+
+    const showRoute = () => {
+        const match = matchPostRoute(window.location.hash);
+        if (!match) {
+            if (!article.hidden) showList();
+            return;
+        }
+        const post = posts.find(item => item.slug === match[1]);
+        if (article.dataset.slug !== match[1]) {
+            render(article, post ? postTemplate(post) : html`${backLinkTemplate()}<p id="blog-post-title" tabindex="-1" data-i18n="blog.notFound">${t('blog.notFound')}</p>`);
+            article.dataset.slug = match[1];
+        }
+        article.hidden = false;
+        filterBar.hidden = true;
+        list.hidden = true;
+        emptyMessage.hidden = true;
+        const heading = match[2] && article.querySelector(`#${CSS.escape(match[2])}`);
+        if (heading) {
+            heading.scrollIntoView();
+        } else {
+            section.scrollIntoView();
+            article.querySelector('#blog-post-title').focus({ preventScroll: true });
+        }
+    };
+
+    filterBar.addEventListener('click', (e) => {
+        const chip = e.target.closest('.filter-chip');
+        if (chip) setTag(chip.dataset.tag);
+    });
+    // Tags on the cards and posts filter the list by that tag
+    section.addEventListener('click', (e) => {
+        const tag = e.target.closest('.post-tag');
+        if (!tag) return;
+        setTag(tag.dataset.tag);
+        if (!article.hidden) window.location.hash = '#blog';
+    });
+
+    root.querySelectorAll('.project-posts[data-posts-for]').forEach(element => {
+        const related = posts.filter(post => (post.projects || []).includes(element.dataset.postsFor));
+        if (!related.length) return;
+        render(element, html`<span data-i18n="blog.related">${t('blog.related')}</span> ${related.map(post => html`<a href="#blog/${post.slug}">${post.title}</a>`)}`);
+        element.hidden = false;
+    });
+
+    window.addEventListener('hashchange', showRoute);
+    showRoute(); // Deep links such as #blog/<slug>
+}
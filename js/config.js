@@ -0,0 +1,103 @@
+// Built-in portfolio content, used when content.json cannot be loaded, and the site settings init() takes by default.
+
+export const config = {
+    name: "Charukesh G.R",
+    title: "Full Stack Developer | Aspiring Cloud Engineer",
+    socials: {
+        github: "https://github.com/charuhere",
+        linkedin: "https://www.linkedin.com/in/charukesh-grandhe-2247a6289/",
+        leetcode: "https://leetcode.com/u/charu_here21/"
+    },
+    about: {
+        bio: "I'm a B.Tech student in Information Technology at VIT Vellore (CGPA: 9.71/10), with a strong focus on data structures and algorithms, backend development, and machine learning. Proficient in C++ and Python, with hands-on experience in building AI models and full-stack web applications.",
+        picture: "assets/charuProfile.png",
+        facts: {
+            "Location": "Chennai, India",
+            "Education": "VIT Vellore (2023–2027)",
+            "Hobbies": "Competitive Coding, Building Scalable Systems"
+        }
+    },
+    skills: [
+  { name: "HTML5", img: "https://cdn.jsdelivr.net/gh/devicons/devicon/icons/html5/html5-original.svg" },
+  { name: "CSS3", img: "https://cdn.jsdelivr.net/gh/devicons/devicon/icons/css3/css3-original.svg" },
+  { name: "JavaScript", img: "https://cdn.jsdelivr.net/gh/devicons/devicon/icons/javascript/javascript-original.svg" },
+  { name: "Python", img: "https://cdn.jsdelivr.net/gh/devicons/devicon/icons/python/python-original.svg" },
+  { name: "C++", img: "https://cdn.jsdelivr.net/gh/devicons/devicon/icons/cplusplus/cplusplus-original.svg" },
+  { name: "Node.js", img: "https://cdn.jsdelivr.net/gh/devicons/devicon/icons/nodejs/nodejs-original.svg" },
+  { name: "MongoDB", img: "https://cdn.jsdelivr.net/gh/devicons/devicon/icons/mongodb/mongodb-original.svg" },
+  { name: "Flask", img: "https://cdn.jsdelivr.net/gh/devicons/devicon/icons/flask/flask-original.svg" },
+  { name: "TensorFlow", img: "https://cdn.jsdelivr.net/gh/devicons/devicon/icons/tensorflow/tensorflow-original.svg" },
+  { name: "Git", img: "https://cdn.jsdelivr.net/gh/devicons/devicon/icons/git/git-original.svg" },
+  { name: "GitHub", img: "https://cdn.jsdelivr.net/gh/devicons/devicon/icons/github/github-original.svg" }
+]
+,
+    projects: [
+        { title: "Waste Classification Model", slug: "waste-classification", description: "Built a real-time waste classification model using SSD MobileNet V2 with 92% accuracy on a custom dataset. Optimized training with CUDA/cuDNN for 3x faster performance.", details: "<p>Led model training and deployment for a real-time waste classification model built on SSD MobileNet V2.</p><ul><li>Reached 92% accuracy on a custom dataset.</li><li>Optimized training with CUDA/cuDNN for 3x faster performance.</li><li>Implemented with TensorFlow and OpenCV in Python.</li></ul>", image: "assets/AIwasteclassifier.png", stack: ["TensorFlow", "OpenCV", "Python"], links: { github: "https://github.com/Nayeem-03/WasteClassification", live: "#" } },
+        { title: "CodeHint Assistant", slug: "codehint-assistant", description: "AI-powered Chrome Extension used by 100+ users to inject hints directly into LeetCode problem pages, featuring a secure Node.js backend with the Gemini API.", details: "<p>An AI-powered Chrome Extension that injects hints directly into LeetCode problem pages.</p><ul><li>Used by 100+ users, handling 200+ hint requests.</li><li>Hints are generated by a secure Node.js backend that calls the Gemini API.</li></ul>", image: "assets/codehint.png", stack: ["JavaScript", "Node.js", "Gemini API"], links: { github: "https://github.com/charuhere/ChromeExtension", live: "#" } },
+        { title: "AquaLearn Mobile App", slug: "aqualearn", description: "A React Native mobile app for water hygiene awareness, featuring interactive quizzes and contextual chatbot support. Led frontend development in a 4-member team.", details: "<p>A React Native mobile app promoting water hygiene awareness, built during a 3-day sprint.</p><ul><li>Interactive quizzes and contextual chatbot support powered by the Gemini API.</li><li>Led frontend development in a 4-member team using Expo.</li></ul>", image: "assets/aqualearn.png", stack: ["React Native", "Expo.js", "Gemini API"], links: { github: "#", live: "#" } }
+    ],
+    contact: {
+        // 'formspree', 'webhook' (POSTs JSON to `endpoint`), 'mailto' (opens the visitor's mail app
+        // addressed to `email`) or 'mock' (local, for testing; also selectable with ?contact=mock)
+        transport: 'formspree',
+        endpoint: 'https://formspree.io/f/movldrgo',
+        email: '',
+        minSubmitSeconds: 3 // Submissions faster than this after the form appeared are treated as bots
+    },
+    stats: {
+        enabled: true,
+        ttlMinutes: 360, // GitHub allows 60 unauthenticated requests an hour
+        // A community API, since LeetCode's own doesn't allow cross-origin requests; {username} comes from socials.leetcode
+        leetcodeEndpoint: 'https://alfa-leetcode-api.onrender.com/{username}/solved'
+    },
+    blog: {
+        // Lists the Markdown posts, by path relative to the manifest
+        manifest: 'posts/index.json'
+    },
+    analytics: {
+        enabled: true,
+        // 'beacon' (batches sent to `endpoint` with navigator.sendBeacon), or for development 'console' or
+        // 'local' (kept in localStorage as analyticsLog); ?analytics=console overrides it
+        sink: 'beacon',
+        endpoint: '', // Nothing is collected until this is set
+        batchSize: 10,
+        flushSeconds: 30 // Events are also sent when the page is hidden
+    },
+    visualizer: {
+        // One of 'bfs', 'dfs', 'dijkstra', 'astar', 'greedy', a list of them, or 'rotate' for all
+        algorithm: 'rotate',
+        // One of 'scatter', 'backtracker', 'prim', 'kruskal', 'division', a list of them, or 'rotate'
+        maze: 'rotate'
+    },
+    // The single source for the timeline and the printable CV (#cv)
+    resume: {
+        timeline: [
+            {
+                kind: "education",
+                organization: "Vellore Institute of Technology",
+                role: "B.Tech in Information Technology",
+                start: "2023-08",
+                end: "2027-08",
+                summary: "CGPA: 9.71/10. Focusing on data structures, algorithms, backend development, and machine learning.",
+                bullets: [
+                    "Led frontend development for a React Native app promoting water hygiene awareness during a 3-day sprint.",
+                    "Built an AI-powered Chrome Extension for 100+ users on LeetCode, handling 200+ hint requests via a Node.js backend.",
+                    "Led model training and deployment for a real-time waste classification model with 92% accuracy using TensorFlow."
+                ],
+                projects: ["aqualearn", "codehint-assistant", "waste-classification"]
+            },
+            {
+                kind: "education",
+                organization: "Chinmaya Vidyalaya (CBSE)",
+                role: "Higher Secondary & Secondary Education",
+                start: "2009-06",
+                end: "2023-03",
+                summary: "Completed schooling with a strong academic record.",
+                bullets: [
+                    "Secured 97% in Class 12.",
+                    "Secured 98.6% in Class 10."
+                ]
+            }
+        ]
+    }
+};
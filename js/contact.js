@@ -0,0 +1,288 @@
+// The contact form: validation, spam checks, the pluggable transports, and a queue for messages sent offline.
+
+import { t } from './i18n.js';
+import { html, render } from './render.js';
+
+const CONTACT_RULES = {
+    name: [
+        [value => value.length > 0, 'validation.nameRequired'],
+        [value => value.length >= 2, 'validation.nameShort']
+    ],
+    email: [
+        [value => value.length > 0, 'validation.emailRequired'],
+        [value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value), 'validation.emailInvalid']
+    ],
+    request_type: [
+        [value => value.length > 0, 'validation.typeRequired']
+    ],
+    message: [
+        [value => value.length > 0, 'validation.messageRequired'],
+        [value => value.length >= 10, 'validation.messageShort'],
+        [value => value.length <= 5000, 'validation.messageLong']
+    ]
+};
+
+const CONTACT_QUEUE_KEY = 'contactQueue';
+const CONTACT_HONEYPOT = '_gotcha';
+
+class ContactSubmissionError extends Error {
+    constructor(message, { retryable = false, fieldErrors = {} } = {}) {
+        super(message);
+        this.name = 'ContactSubmissionError';
+        this.retryable = retryable; // Network failures and server errors are queued and retried later
+        this.fieldErrors = fieldErrors;
+    }
+}
+
+async function postToEndpoint(endpoint, init) {
+    let response;
+    try {
+        response = await fetch(endpoint, init);
+    } catch (error) {
+        throw new ContactSubmissionError(t('contact.networkError'), { retryable: true });
+    }
+    if (response.ok) return {};
+    if (response.status >= 500 || response.status === 429) {
+        throw new ContactSubmissionError(t('contact.unavailable', { status: response.status }), { retryable: true });
+    }
+    const data = await response.json().catch(() => ({}));
+    const errors = Array.isArray(data.errors) ? data.errors : [];
+    const fieldErrors = Object.fromEntries(errors.filter(error => error.field).map(error => [error.field, error.message]));
+    const message = errors.map(error => error.message).join(', ') || t('contact.failed');
+    throw new ContactSubmissionError(message, { fieldErrors });
+}
+
+// Each transport takes the submitted fields and resolves with an optional { message } for the visitor,
+// or rejects with a ContactSubmissionError
+const CONTACT_TRANSPORTS = {
+    formspree: (settings) => (payload) => {
+        const body = new FormData();
+        Object.entries(payload).forEach(([key, value]) => body.append(key, value));
+        return postToEndpoint(settings.endpoint, { method: 'POST', body, headers: { 'Accept': 'application/json' } });
+    },
+    webhook: (settings) => (payload) => postToEndpoint(settings.endpoint, {
+        method: 'POST',
+        body: JSON.stringify(payload),
+        headers: { 'Content-Type': 'application/json', 'Accept': 'application/json' }
+    }),
+    mailto: (settings) => async (payload) => {
+        if (!settings.email) throw new ContactSubmissionError(t('contact.noEmail'));
+        const subject = encodeURIComponent(`${payload.request_type} enquiry from ${payload.name}`);
+        const body = encodeURIComponent(`${payload.message}\n\n${payload.name} <${payload.email}>`);
+        window.location.href = `mailto:${settings.email}?subject=${subject}&body=${body}`;
+        return { message: t('contact.mailtoReady') };
+    },
+    mock: (settings) => async (payload) => {
+        await new Promise(resolve => setTimeout(resolve, 500));
+        console.info('Mock contact transport received:', payload);
+        if (settings.mockOutcome === 'offline' || !navigator.onLine) {
+            throw new ContactSubmissionError(t('contact.networkError'), { retryable: true });
+        }
+        if (settings.mockOutcome === 'error') {
+            throw new ContactSubmissionError(t('contact.mockRejected'), { fieldErrors: { email: t('contact.mockRejectedEmail') } });
+        }
+        return {};
+    }
+};
+
+// A transport chosen with ?contact=<name> for trying the form out, or null
+function getTransportOverride() {
+    const override = new URLSearchParams(window.location.search).get('contact');
+    return CONTACT_TRANSPORTS[override] ? override : null;
+}
+
+function getContactTransportName(settings) {
+    const name = getTransportOverride() || settings.transport;
+    if (!CONTACT_TRANSPORTS[name]) {
+        console.warn(`Unknown contact transport "${name}", falling back to formspree.`);
+        return 'formspree';
+    }
+    return name;
+}
+
+function getContactTransport(settings) {
+    return CONTACT_TRANSPORTS[getContactTransportName(settings)](settings);
+}
+
+// mailto only opens the visitor's mail app, which works offline and must never happen unprompted,
+// so its messages are neither queued nor sent from the queue
+function queuesOffline(settings) {
+    return getContactTransportName(settings) !== 'mailto';
+}
+
+function validateContactForm(form) {
+    const errors = {};
+    Object.entries(CONTACT_RULES).forEach(([name, rules]) => {
+        const value = form.elements[name].value.trim();
+        const failed = rules.find(([check]) => !check(value));
+        if (failed) errors[name] = t(failed[1]);
+    });
+    return errors;
+}
+
+function showFieldErrors(form, errors) {
+    Object.keys(CONTACT_RULES).forEach(name => {
+        const field = form.elements[name];
+        const errorElement = form.querySelector(`#${name}-error`);
+        const message = errors[name];
+        field.setAttribute('aria-invalid', String(Boolean(message)));
+        errorElement.textContent = message || '';
+        errorElement.hidden = !message;
+    });
+}
+
+function showContactStatus(form, message, type) {
+    const statusDiv = form.querySelector('#contact-status');
+    statusDiv.textContent = message;
+    statusDiv.className = type;
+    // Errors interrupt; confirmations wait for the screen reader to finish what it is saying
+    statusDiv.setAttribute('aria-live', type === 'error' ? 'assertive' : 'polite');
+}
+
+function readContactQueue() {
+    try {
+        return JSON.parse(localStorage.getItem(CONTACT_QUEUE_KEY)) || [];
+    } catch (error) {
+        return [];
+    }
+}
+
+function writeContactQueue(queue) {
+    if (queue.length) localStorage.setItem(CONTACT_QUEUE_KEY, JSON.stringify(queue));
+    else localStorage.removeItem(CONTACT_QUEUE_KEY);
+}
+
+function queueContactSubmission(payload) {
+    writeContactQueue([...readContactQueue(), { payload, queuedAt: Date.now() }]);
+}
+
+// The flush in progress, shared by every caller so a message is never sent twice
+let contactQueueFlush = null;
+
+// Sends queued submissions; keeps the ones that fail with a retryable error for the next attempt
+export function flushContactQueue(form, settings) {
+    if (!contactQueueFlush) {
+        contactQueueFlush = sendContactQueue(form, settings).finally(() => { contactQueueFlush = null; });
+    }
+    return contactQueueFlush;
+}
+
+async function sendContactQueue(form, settings) {
+    const queue = readContactQueue();
+    // The queue holds the visitor's real messages: an override such as ?contact=mock must not consume it
+    if (!queue.length || !navigator.onLine || !queuesOffline(settings) || getTransportOverride()) return;
+    const send = getContactTransport(settings);
+    const done = new Set(); // Sent or rejected, by entryKey()
+    const entryKey = (entry) => JSON.stringify(entry);
+    let sent = 0;
+    for (const entry of queue) {
+        try {
+            await send(entry.payload);
+            sent++;
+            done.add(entryKey(entry));
+        } catch (error) {
+            if (error.retryable) continue;
+            console.error('Dropping a saved contact message that the service rejected:', error);
+            done.add(entryKey(entry));
+        }
+    }
+    // Re-read, since messages may have been queued while these were being sent
+    writeContactQueue(readContactQueue().filter(entry => !done.has(entryKey(entry))));
+    if (sent) {
+        showContactStatus(form, t('contact.flushed', { count: sent }), 'success');
+        reportContactOutcome('flushed', { count: sent });
+    }
+}
+
+// Lets other parts of the page (analytics) know how submissions end, without any of what was written
+function reportContactOutcome(outcome, detail = {}) {
+    document.dispatchEvent(new CustomEvent('contact:outcome', { detail: { outcome, ...detail } }));
+}
+
+function isLikelyBot(form, settings) {
+    const honeypot = form.elements[CONTACT_HONEYPOT];
+    const elapsed = (Date.now() - Number(form.dataset.renderedAt)) / 1000;
+    return Boolean(honeypot && honeypot.value) || elapsed < settings.minSubmitSeconds;
+}
+
+// settings is config.contact: the transport and its options, plus minSubmitSeconds for the bot check
+export async function handleFormSubmit(event, settings) {
+    event.preventDefault();
+    const form = event.target;
+    const statusDiv = form.querySelector('#contact-status');
+    const submitBtn = form.querySelector('#contact-submit-btn');
+    statusDiv.textContent = '';
+    statusDiv.className = '';
+
+    if (isLikelyBot(form, settings)) {
+        // Don't tell bots they were caught
+        showContactStatus(form, t('contact.thanks'), 'success');
+        form.reset();
+        reportContactOutcome('blocked');
+        return;
+    }
+
+    const errors = validateContactForm(form);
+    showFieldErrors(form, errors);
+    const firstInvalid = Object.keys(CONTACT_RULES).find(name => errors[name]);
+    if (firstInvalid) {
+        form.elements[firstInvalid].focus();
+        reportContactOutcome('invalid', { fields: Object.keys(errors) });
+        return;
+    }
+
+    const payload = Object.fromEntries(new FormData(form));
+    delete payload[CONTACT_HONEYPOT];
+
+    if (!navigator.onLine && queuesOffline(settings)) {
+        queueContactSubmission(payload);
+        showContactStatus(form, t('contact.offline'), 'info');
+        form.reset();
+        reportContactOutcome('queued');
+        return;
+    }
+
+    submitBtn.disabled = true;
+    render(submitBtn, html`<span data-i18n="contact.sending">${t('contact.sending')}</span> <i class="fa-solid fa-spinner fa-spin"></i>`);
+
+    try {
+        const result = await getContactTransport(settings)(payload);
+        showContactStatus(form, result.message || t('contact.thanks'), 'success');
+        form.reset();
+        reportContactOutcome('sent');
+    } catch (error) {
+        if (error.retryable) {
+            queueContactSubmission(payload);
+            showContactStatus(form, t('contact.queued'), 'info');
+            form.reset();
+            reportContactOutcome('queued');
+        } else {
+            showFieldErrors(form, error.fieldErrors || {});
+            showContactStatus(form, error.message || t('contact.failed'), 'error');
+            reportContactOutcome('failed');
+        }
+    } finally {
+        submitBtn.disabled = false;
+        render(submitBtn, html`<span data-i18n="contact.send">${t('contact.send')}</span> <i class="fa-solid fa-paper-plane"></i>`);
+    }
+}
+
+export function setupContactForm(root, settings) {
+    const contactForm = root.querySelector('#contact-form');
+    if (contactForm) {
+        contactForm.dataset.renderedAt = String(Date.now());
+        contactForm.addEventListener('submit', (e) => handleFormSubmit(e, settings));
+        // Once a field has been flagged, re-check it as the visitor fixes it
+        contactForm.addEventListener('input', (e) => {
+            const name = e.target.name;
+            if (!CONTACT_RULES[name] || e.target.getAttribute('aria-invalid') !== 'true') return;
+            const errors = validateContactForm(contactForm);
+            showFieldErrors(contactForm, Object.fromEntries(Object.entries(errors).filter(([key]) =>
+                contactForm.elements[key].getAttribute('aria-invalid') === 'true')));
+        });
+        window.addEventListener('online', () => flushContactQueue(contactForm, settings));
+        flushContactQueue(contactForm, settings);
+    } else {
+        console.error("FATAL: Contact form not found.");
+    }
+}
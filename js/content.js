@@ -0,0 +1,318 @@
+// The portfolio content: its schema, validation and loading, and helpers for reading it.
+
+// Portfolio content is loaded from this file at startup; the config given to init() is the built-in fallback.
+// Any top-level section may instead be a path to its own JSON file, e.g. "projects": "content/projects.json".
+const CONTENT_SOURCE = 'content.json';
+
+const TEXT_FIELD = { type: 'string' };
+const URL_FIELD = { type: 'url' };
+const MONTH_FIELD = { type: 'month' }; // YYYY-MM
+const DATE_FIELD = { type: 'date' }; // YYYY-MM-DD
+// In the order the CV lists them
+export const TIMELINE_KINDS = ['work', 'education', 'award'];
+
+// Declarative schema for the content file. Specs are { type, optional, enum, properties, items, values, oneOf }
+// where type is one of 'string', 'url', 'month' (YYYY-MM), 'date' (YYYY-MM-DD), 'object', 'array' or 'record'
+// (an object with arbitrary keys).
+const CONTENT_SCHEMA = {
+    type: 'object',
+    properties: {
+        name: TEXT_FIELD,
+        title: TEXT_FIELD,
+        socials: {
+            type: 'object',
+            properties: { github: URL_FIELD, linkedin: URL_FIELD, leetcode: URL_FIELD }
+        },
+        about: {
+            type: 'object',
+            properties: {
+                bio: TEXT_FIELD,
+                picture: URL_FIELD,
+                facts: { type: 'record', values: TEXT_FIELD }
+            }
+        },
+        skills: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    name: TEXT_FIELD,
+                    icon: { type: 'string', optional: true }, // Font Awesome brand class, e.g. "fa-react"
+                    img: { type: 'url', optional: true } // Image/SVG URL
+                },
+                oneOf: ['icon', 'img']
+            }
+        },
+        projects: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    title: TEXT_FIELD,
+                    slug: { type: 'string', optional: true }, // Used in #projects/<slug>; derived from the title if omitted
+                    description: TEXT_FIELD,
+                    details: { type: 'string', optional: true }, // Longer rich-text write-up for the detail modal
+                    image: URL_FIELD,
+                    screenshots: {
+                        type: 'array',
+                        optional: true,
+                        items: {
+                            type: 'object',
+                            properties: { src: URL_FIELD, alt: TEXT_FIELD }
+                        }
+                    },
+                    stack: { type: 'array', items: TEXT_FIELD },
+                    links: {
+                        type: 'object',
+                        properties: { github: URL_FIELD, live: URL_FIELD }
+                    }
+                }
+            }
+        },
+        resume: {
+            type: 'object',
+            properties: {
+                timeline: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            kind: { type: 'string', enum: TIMELINE_KINDS },
+                            organization: TEXT_FIELD,
+                            role: TEXT_FIELD,
+                            start: MONTH_FIELD,
+                            end: { ...MONTH_FIELD, optional: true }, // Omitted while ongoing
+                            summary: { type: 'string', optional: true },
+                            bullets: { type: 'array', items: TEXT_FIELD }, // Plain text, one line each; related projects go in projects
+                            projects: { type: 'array', optional: true, items: TEXT_FIELD } // Slugs of related projects
+                        }
+                    }
+                }
+            }
+        }
+    }
+};
+
+// Front matter of the Markdown blog posts listed in the manifest (config.blog.manifest)
+const POST_SCHEMA = {
+    type: 'object',
+    properties: {
+        title: TEXT_FIELD,
+        date: DATE_FIELD,
+        tags: { type: 'array', items: TEXT_FIELD },
+        cover: { type: 'url', optional: true },
+        summary: { type: 'string', optional: true }, // For the list and the feed; the first paragraph if omitted
+        slug: { type: 'string', optional: true }, // Used in #blog/<slug>; derived from the file name if omitted
+        projects: { type: 'array', optional: true, items: TEXT_FIELD } // Slugs of related projects
+    }
+};
+
+class ContentValidationError extends Error {
+    constructor(errors) {
+        super(`Invalid portfolio content:\n${errors.map(error => `  ${error.path || '(root)'}: ${error.message}`).join('\n')}`);
+        this.name = 'ContentValidationError';
+        this.errors = errors;
+    }
+}
+
+
+export function isSafeUrl(value) {
+    try {
+        // Relative paths and fragments resolve against the dummy base; only these schemes may be linked
+        return ['http:', 'https:', 'mailto:'].includes(new URL(value, 'https://example.invalid/').protocol);
+    } catch (error) {
+        return false;
+    }
+}
+
+function describeType(value) {
+    return Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value;
+}
+
+// Collects every problem instead of stopping at the first, each tagged with its path, e.g. projects[2].links.github
+function validateAgainstSchema(value, spec, path, errors) {
+    const fail = (message) => errors.push({ path, message });
+    const join = (key) => path ? `${path}.${key}` : key;
+
+    switch (spec.type) {
+        case 'string':
+            if (typeof value !== 'string') fail(`expected a string but got ${describeType(value)}`);
+            else if (spec.enum && !spec.enum.includes(value)) fail(`"${value}" is not one of ${spec.enum.join(', ')}`);
+            break;
+        case 'url':
+            if (typeof value !== 'string') fail(`expected a URL string but got ${describeType(value)}`);
+            else if (!isSafeUrl(value)) fail(`"${value}" is not a valid http(s), mailto or relative URL`);
+            break;
+        case 'month':
+            if (typeof value !== 'string') fail(`expected a YYYY-MM month string but got ${describeType(value)}`);
+            else if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(value)) fail(`"${value}" is not a YYYY-MM month`);
+            break;
+        case 'date':
+            if (typeof value !== 'string') fail(`expected a YYYY-MM-DD date string but got ${describeType(value)}`);
+            else if (!/^\d{4}-(0[1-9]|1[0-2])-(0[1-9]|[12]\d|3[01])$/.test(value)) fail(`"${value}" is not a YYYY-MM-DD date`);
+            break;
+        case 'array':
+            if (!Array.isArray(value)) {
+                fail(`expected an array but got ${describeType(value)}`);
+                break;
+            }
+            value.forEach((item, index) => validateAgainstSchema(item, spec.items, `${path}[${index}]`, errors));
+            break;
+        case 'record':
+            if (describeType(value) !== 'object') {
+                fail(`expected an object but got ${describeType(value)}`);
+                break;
+            }
+            Object.entries(value).forEach(([key, item]) => validateAgainstSchema(item, spec.values, join(key), errors));
+            break;
+        case 'object': {
+            if (describeType(value) !== 'object') {
+                fail(`expected an object but got ${describeType(value)}`);
+                break;
+            }
+            Object.entries(spec.properties).forEach(([key, propertySpec]) => {
+                if (value[key] === undefined) {
+                    if (!propertySpec.optional) errors.push({ path: join(key), message: 'is required' });
+                } else {
+                    validateAgainstSchema(value[key], propertySpec, join(key), errors);
+                }
+            });
+            Object.keys(value)
+                .filter(key => !spec.properties[key])
+                .forEach(key => errors.push({ path: join(key), message: 'is not a known field' }));
+            if (spec.oneOf && spec.oneOf.filter(key => value[key] !== undefined).length !== 1) {
+                fail(`must define exactly one of ${spec.oneOf.join(', ')}`);
+            }
+            break;
+        }
+        default:
+            throw new Error(`Unknown schema type "${spec.type}" at ${path || '(root)'}`);
+    }
+    return errors;
+}
+
+export function validateContent(content) {
+    const errors = validateAgainstSchema(content, CONTENT_SCHEMA, '', []);
+    if (!errors.length) {
+        // Timeline entries may only link to projects that exist
+        const slugs = content.projects.map(projectSlug);
+        content.resume.timeline.forEach((entry, index) => (entry.projects || []).forEach((slug, position) => {
+            if (!slugs.includes(slug)) {
+                errors.push({ path: `resume.timeline[${index}].projects[${position}]`, message: `"${slug}" is not the slug of a project` });
+            }
+        }));
+    }
+    if (errors.length) throw new ContentValidationError(errors);
+    return content;
+}
+
+// The content keys of a config, without its contact, stats, blog, analytics and visualizer settings
+export function contentOf(config) {
+    return Object.fromEntries(Object.keys(CONTENT_SCHEMA.properties).filter(key => key in config).map(key => [key, config[key]]));
+}
+
+export async function fetchJson(url) {
+    const response = await fetch(url, { headers: { 'Accept': 'application/json' } });
+    if (!response.ok) throw new Error(`${url} responded with ${response.status}`);
+    return response.json();
+}
+
+// Sections given as a path are loaded with loadSection(path) from their own file, relative to the main content file
+export async function loadContentSections(content, loadSection) {
+    await Promise.all(Object.entries(content).map(async ([key, value]) => {
+        const spec = CONTENT_SCHEMA.properties[key];
+        if (spec && spec.type !== 'string' && typeof value === 'string' && value.endsWith('.json')) {
+            content[key] = await loadSection(value);
+        }
+    }));
+    return validateContent(content);
+}
+
+export async function loadContent(fallback, source = CONTENT_SOURCE) {
+    try {
+        const baseUrl = new URL(source, document.baseURI);
+        const content = await fetchJson(baseUrl);
+        return await loadContentSections(content, (path) => fetchJson(new URL(path, baseUrl)));
+    } catch (error) {
+        console.error(`Could not load ${source}; falling back to the built-in content.\n`, error);
+        return fallback;
+    }
+}
+
+// The small YAML subset posts use between --- lines: `key: value`, with lists written [a, b] or as
+// `- item` lines under the key. Quotes around values are optional.
+export function parseFrontMatter(text) {
+    const match = /^---\r?\n([\s\S]*?)\r?\n---\r?\n?/.exec(text);
+    if (!match) return null;
+    const unquote = (value) => value.trim().replace(/^(["'])(.*)\1$/, '$2');
+    const attributes = {};
+    let listKey = null;
+    match[1].split(/\r?\n/).forEach(line => {
+        const item = /^\s*-\s+(.*)$/.exec(line);
+        if (item && listKey) {
+            attributes[listKey].push(unquote(item[1]));
+            return;
+        }
+        const pair = /^([\w-]+):\s*(.*)$/.exec(line);
+        if (!pair) return;
+        const [, key, value] = pair;
+        listKey = null;
+        if (!value) {
+            listKey = key;
+            attributes[key] = [];
+        } else if (/^\[.*\]$/.test(value)) {
+            attributes[key] = value.slice(1, -1).split(',').map(unquote).filter(Boolean);
+        } else {
+            attributes[key] = unquote(value);
+        }
+    });
+    return { attributes, body: text.slice(match[0].length) };
+}
+
+// files are the manifest's post paths; each is read with readPost(path). Posts come back newest first, as
+// their front matter plus slug and markdown, and must only link to projects in content.
+export async function loadPosts(files, readPost, content) {
+    if (!Array.isArray(files)) throw new ContentValidationError([{ path: '', message: 'the post manifest must be an array of file paths' }]);
+    const errors = [];
+    const posts = await Promise.all(files.map(async (file) => {
+        const parsed = parseFrontMatter(await readPost(file));
+        if (!parsed) {
+            errors.push({ path: file, message: 'has no front matter' });
+            return null;
+        }
+        const fileErrors = validateAgainstSchema(parsed.attributes, POST_SCHEMA, '', []);
+        errors.push(...fileErrors.map(error => ({ ...error, path: `${file}: ${error.path}` })));
+        return { ...parsed.attributes, slug: parsed.attributes.slug || slugify(file.replace(/^.*\/|\.md$/g, '')), markdown: parsed.body };
+    }));
+    if (!errors.length) {
+        const slugs = content.projects.map(projectSlug);
+        posts.forEach((post, index) => {
+            (post.projects || []).filter(slug => !slugs.includes(slug)).forEach(slug => {
+                errors.push({ path: `${files[index]}: projects`, message: `"${slug}" is not the slug of a project` });
+            });
+            if (posts.findIndex(other => other.slug === post.slug) !== index) {
+                errors.push({ path: files[index], message: `another post already uses the slug "${post.slug}"` });
+            }
+        });
+    }
+    if (errors.length) throw new ContentValidationError(errors);
+    return posts.sort((a, b) => b.date.localeCompare(a.date));
+}
+
+function slugify(value) {
+    return value.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+}
+
+export function projectSlug(project) {
+    return project.slug || slugify(project.title);
+}
+
+export function parseGithubRepo(url) {
+    const match = /^https:\/\/github\.com\/([\w.-]+)\/([\w.-]+?)(?:\.git)?\/?$/.exec(url);
+    return match ? `${match[1]}/${match[2]}` : null;
+}
+
+export function parseLeetcodeUser(url) {
+    const match = /^https:\/\/leetcode\.com\/(?:u\/)?([\w-]+)\/?$/.exec(url);
+    return match ? match[1] : null;
+}
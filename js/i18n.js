@@ -0,0 +1,501 @@
+// Translation of the site's own copy: message catalogs, lookups and the language switcher.
+
+// Message catalogs for the site's own copy; the portfolio content itself is authored in one language.
+// Messages may use {placeholders}, and an object of Intl.PluralRules categories when they depend on {count}.
+// Keys missing from a catalog fall back to English.
+const LOCALES = {
+    en: {
+        displayName: 'English',
+        dir: 'ltr',
+        messages: {
+            'page.title': '{name} - Personal Portfolio',
+            'nav.home': 'Home',
+            'nav.about': 'About',
+            'nav.skills': 'Skills',
+            'nav.projects': 'Projects',
+            'nav.resume': 'Resume',
+            'nav.blog': 'Blog',
+            'nav.contact': 'Contact',
+            'header.language': 'Choose language',
+            'header.visualizer': 'Play with the pathfinding background',
+            'header.shareRun': 'Copy link to this run',
+            'header.shareRunEdited': "Edited grids can't be shared; generate a new maze to share a run",
+            'header.linkCopied': 'Link copied',
+            'header.copyPrompt': 'Copy this link to replay the run:',
+            'header.palette': 'Choose color palette',
+            'header.palettes': 'Color palettes',
+            'header.skip': 'Skip to content',
+            'header.backToTop': 'Back to top',
+            'theme.toggle': 'Theme: {mode}. Switch to {next}',
+            'theme.changed': 'Theme: {mode}, {palette} palette',
+            'theme.dark': 'Dark',
+            'theme.light': 'Light',
+            'theme.system': 'System',
+            'palette.amber': 'Select Amber theme',
+            'palette.forest': 'Select Forest theme',
+            'palette.sky': 'Select Sky theme',
+            'palette.rose': 'Select Rose theme',
+            'palette.custom': 'Pick a custom accent color',
+            'hero.greeting': "Hi, I'm {name}",
+            'hero.welcome': 'Welcome to my digital space. I craft beautiful and functional web experiences.',
+            'hero.cta': "Let's Connect",
+            'about.title': 'About Me',
+            'about.picture': 'Profile Picture',
+            'skills.title': 'My Skills',
+            'skills.icon': '{name} icon',
+            'projects.title': 'My Projects',
+            'projects.search': 'Search projects',
+            'projects.searchLabel': 'Search projects by title or description',
+            'projects.filterLabel': 'Filter projects by technology',
+            'projects.all': 'All',
+            'projects.empty': 'No projects match your filters.',
+            'projects.byTech': 'Show projects built with {tech}',
+            'projects.code': 'GitHub',
+            'projects.live': 'Live Demo',
+            'projects.screenshot': '{title} screenshot',
+            'projects.close': 'Close project details',
+            'resume.title': 'Resume',
+            'resume.download': 'View CV',
+            'resume.ongoing': '{start} – Present',
+            'resume.filterLabel': 'Filter the timeline by kind',
+            'resume.kind.work': 'Experience',
+            'resume.kind.education': 'Education',
+            'resume.kind.award': 'Awards',
+            'resume.projects': 'Projects:',
+            'blog.title': 'Writing',
+            'blog.filterLabel': 'Filter posts by tag',
+            'blog.byTag': 'Show posts tagged {tag}',
+            'blog.empty': 'No posts match this tag.',
+            'blog.back': 'All posts',
+            'blog.contents': 'Contents',
+            'blog.related': 'Related posts:',
+            'blog.notFound': 'That post could not be found.',
+            'blog.unavailable': "Posts couldn't be loaded right now.",
+            'cv.label': 'Printable CV',
+            'cv.print': 'Print or save as PDF',
+            'cv.close': 'Close CV',
+            'contact.title': "Let's Collaborate",
+            'contact.name': 'Your Name',
+            'contact.email': 'Your Email',
+            'contact.type': 'Collaboration Type',
+            'contact.typePortfolio': 'Portfolio Review',
+            'contact.typeOpenSource': 'Open Source',
+            'contact.typeFreelance': 'Freelance Project',
+            'contact.typeOther': 'Other',
+            'contact.message': 'Your Message',
+            'contact.honeypot': 'Leave this field empty',
+            'contact.send': 'Send Message',
+            'contact.sending': 'Sending...',
+            'contact.thanks': "Thank you for your message! I'll get back to you soon.",
+            'contact.offline': "You're offline. Your message has been saved and will be sent automatically once you're back online.",
+            'contact.queued': "Your message couldn't be sent right now. It has been saved and will be retried automatically.",
+            'contact.flushed': {
+                one: 'Your saved message has now been sent. Thank you!',
+                other: 'Your {count} saved messages have now been sent. Thank you!'
+            },
+            'contact.failed': 'Oops! Something went wrong. Please try again later.',
+            'contact.networkError': 'The message could not be sent because the network is unavailable.',
+            'contact.unavailable': 'The message service is unavailable ({status}).',
+            'contact.mailtoReady': 'Your email app should now open with the message ready to send.',
+            'contact.noEmail': 'No contact email address is configured.',
+            'contact.mockRejected': 'The mock transport rejected this message.',
+            'contact.mockRejectedEmail': 'The mock transport rejected this address.',
+            'stats.stars': { one: '{count} star', other: '{count} stars' },
+            'stats.pushed': 'Updated {time}',
+            'stats.asOf': 'as of {time}',
+            'stats.leetcode': 'LeetCode',
+            'stats.solved': { one: '{count} problem solved', other: '{count} problems solved' },
+            'stats.easy': 'Easy',
+            'stats.medium': 'Medium',
+            'stats.hard': 'Hard',
+            'validation.nameRequired': 'Please enter your name.',
+            'validation.nameShort': 'Your name should be at least 2 characters long.',
+            'validation.emailRequired': 'Please enter your email address.',
+            'validation.emailInvalid': 'Please enter a valid email address, like name@example.com.',
+            'validation.typeRequired': 'Please choose a collaboration type.',
+            'validation.messageRequired': 'Please write a message.',
+            'validation.messageShort': 'Your message should be at least 10 characters long.',
+            'validation.messageLong': 'Your message should be at most 5000 characters long.',
+            'footer.copyright': '© {year} {name}. All Rights Reserved.',
+            'visualizer.controls': 'Pathfinding controls',
+            'visualizer.algorithm': 'Search algorithm',
+            'visualizer.maze': 'Maze generator',
+            'visualizer.algorithms.bfs': 'Breadth-First Search',
+            'visualizer.algorithms.dfs': 'Depth-First Search',
+            'visualizer.algorithms.dijkstra': "Dijkstra's Algorithm",
+            'visualizer.algorithms.astar': 'A* Search',
+            'visualizer.algorithms.greedy': 'Greedy Best-First Search',
+            'visualizer.mazes.scatter': 'Random Scatter',
+            'visualizer.mazes.backtracker': 'Recursive Backtracker',
+            'visualizer.mazes.prim': "Prim's Algorithm",
+            'visualizer.mazes.kruskal': "Kruskal's Algorithm",
+            'visualizer.mazes.division': 'Recursive Division',
+            'visualizer.generate': 'Generate',
+            'visualizer.run': 'Run',
+            'visualizer.step': 'Step',
+            'visualizer.clear': 'Clear Walls',
+            'visualizer.exit': 'Exit',
+            'visualizer.grid': 'Pathfinding grid. Arrow keys move the cursor, Space toggles a wall, S and E place the start and end, Enter runs the search, N steps it, Escape exits.'
+        }
+    },
+    es: {
+        displayName: 'Español',
+        dir: 'ltr',
+        messages: {
+            'page.title': '{name} - Portafolio personal',
+            'nav.home': 'Inicio',
+            'nav.about': 'Sobre mí',
+            'nav.skills': 'Habilidades',
+            'nav.projects': 'Proyectos',
+            'nav.resume': 'Currículum',
+            'nav.blog': 'Blog',
+            'nav.contact': 'Contacto',
+            'header.language': 'Elegir idioma',
+            'header.visualizer': 'Jugar con el fondo de búsqueda de caminos',
+            'header.shareRun': 'Copiar el enlace a esta ejecución',
+            'header.shareRunEdited': 'Las cuadrículas editadas no se pueden compartir; genera un laberinto nuevo para compartir una ejecución',
+            'header.linkCopied': 'Enlace copiado',
+            'header.copyPrompt': 'Copia este enlace para repetir la ejecución:',
+            'header.palette': 'Elegir paleta de colores',
+            'header.palettes': 'Paletas de colores',
+            'header.skip': 'Saltar al contenido',
+            'header.backToTop': 'Volver arriba',
+            'theme.toggle': 'Tema: {mode}. Cambiar a {next}',
+            'theme.changed': 'Tema: {mode}, paleta {palette}',
+            'theme.dark': 'Oscuro',
+            'theme.light': 'Claro',
+            'theme.system': 'Sistema',
+            'palette.amber': 'Seleccionar el tema Ámbar',
+            'palette.forest': 'Seleccionar el tema Bosque',
+            'palette.sky': 'Seleccionar el tema Cielo',
+            'palette.rose': 'Seleccionar el tema Rosa',
+            'palette.custom': 'Elegir un color de acento personalizado',
+            'hero.greeting': 'Hola, soy {name}',
+            'hero.welcome': 'Bienvenido a mi espacio digital. Creo experiencias web bonitas y funcionales.',
+            'hero.cta': 'Conectemos',
+            'about.title': 'Sobre mí',
+            'about.picture': 'Foto de perfil',
+            'skills.title': 'Mis habilidades',
+            'skills.icon': 'Icono de {name}',
+            'projects.title': 'Mis proyectos',
+            'projects.search': 'Buscar proyectos',
+            'projects.searchLabel': 'Buscar proyectos por título o descripción',
+            'projects.filterLabel': 'Filtrar proyectos por tecnología',
+            'projects.all': 'Todos',
+            'projects.empty': 'Ningún proyecto coincide con tus filtros.',
+            'projects.byTech': 'Mostrar proyectos hechos con {tech}',
+            'projects.code': 'GitHub',
+            'projects.live': 'Demo en vivo',
+            'projects.screenshot': 'Captura de {title}',
+            'projects.close': 'Cerrar los detalles del proyecto',
+            'resume.title': 'Currículum',
+            'resume.download': 'Ver CV',
+            'resume.ongoing': '{start} – Actualidad',
+            'resume.filterLabel': 'Filtrar la trayectoria por tipo',
+            'resume.kind.work': 'Experiencia',
+            'resume.kind.education': 'Formación',
+            'resume.kind.award': 'Premios',
+            'resume.projects': 'Proyectos:',
+            'blog.title': 'Artículos',
+            'blog.filterLabel': 'Filtrar artículos por etiqueta',
+            'blog.byTag': 'Mostrar artículos con la etiqueta {tag}',
+            'blog.empty': 'Ningún artículo tiene esta etiqueta.',
+            'blog.back': 'Todos los artículos',
+            'blog.contents': 'Contenido',
+            'blog.related': 'Artículos relacionados:',
+            'blog.notFound': 'No se encontró ese artículo.',
+            'blog.unavailable': 'No se pudieron cargar los artículos en este momento.',
+            'cv.label': 'CV imprimible',
+            'cv.print': 'Imprimir o guardar como PDF',
+            'cv.close': 'Cerrar el CV',
+            'contact.title': 'Colaboremos',
+            'contact.name': 'Tu nombre',
+            'contact.email': 'Tu correo electrónico',
+            'contact.type': 'Tipo de colaboración',
+            'contact.typePortfolio': 'Revisión de portafolio',
+            'contact.typeOpenSource': 'Código abierto',
+            'contact.typeFreelance': 'Proyecto freelance',
+            'contact.typeOther': 'Otro',
+            'contact.message': 'Tu mensaje',
+            'contact.honeypot': 'Deja este campo vacío',
+            'contact.send': 'Enviar mensaje',
+            'contact.sending': 'Enviando...',
+            'contact.thanks': '¡Gracias por tu mensaje! Te responderé pronto.',
+            'contact.offline': 'Estás sin conexión. Tu mensaje se ha guardado y se enviará automáticamente cuando vuelvas a estar en línea.',
+            'contact.queued': 'No se pudo enviar tu mensaje en este momento. Se ha guardado y se reintentará automáticamente.',
+            'contact.flushed': {
+                one: 'Tu mensaje guardado ya se ha enviado. ¡Gracias!',
+                other: 'Tus {count} mensajes guardados ya se han enviado. ¡Gracias!'
+            },
+            'contact.failed': '¡Vaya! Algo salió mal. Inténtalo de nuevo más tarde.',
+            'contact.networkError': 'No se pudo enviar el mensaje porque la red no está disponible.',
+            'contact.unavailable': 'El servicio de mensajes no está disponible ({status}).',
+            'contact.mailtoReady': 'Tu aplicación de correo debería abrirse con el mensaje listo para enviar.',
+            'contact.noEmail': 'No hay ninguna dirección de correo de contacto configurada.',
+            'contact.mockRejected': 'El transporte simulado rechazó este mensaje.',
+            'contact.mockRejectedEmail': 'El transporte simulado rechazó esta dirección.',
+            'stats.stars': { one: '{count} estrella', other: '{count} estrellas' },
+            'stats.pushed': 'Actualizado {time}',
+            'stats.asOf': 'datos de {time}',
+            'stats.leetcode': 'LeetCode',
+            'stats.solved': { one: '{count} problema resuelto', other: '{count} problemas resueltos' },
+            'stats.easy': 'Fácil',
+            'stats.medium': 'Media',
+            'stats.hard': 'Difícil',
+            'validation.nameRequired': 'Escribe tu nombre.',
+            'validation.nameShort': 'Tu nombre debe tener al menos 2 caracteres.',
+            'validation.emailRequired': 'Escribe tu correo electrónico.',
+            'validation.emailInvalid': 'Escribe un correo electrónico válido, como nombre@ejemplo.com.',
+            'validation.typeRequired': 'Elige un tipo de colaboración.',
+            'validation.messageRequired': 'Escribe un mensaje.',
+            'validation.messageShort': 'Tu mensaje debe tener al menos 10 caracteres.',
+            'validation.messageLong': 'Tu mensaje debe tener como máximo 5000 caracteres.',
+            'footer.copyright': '© {year} {name}. Todos los derechos reservados.',
+            'visualizer.controls': 'Controles de búsqueda de caminos',
+            'visualizer.algorithm': 'Algoritmo de búsqueda',
+            'visualizer.maze': 'Generador de laberintos',
+            'visualizer.algorithms.bfs': 'Búsqueda en anchura',
+            'visualizer.algorithms.dfs': 'Búsqueda en profundidad',
+            'visualizer.algorithms.dijkstra': 'Algoritmo de Dijkstra',
+            'visualizer.algorithms.astar': 'Búsqueda A*',
+            'visualizer.algorithms.greedy': 'Búsqueda voraz primero el mejor',
+            'visualizer.mazes.scatter': 'Dispersión aleatoria',
+            'visualizer.mazes.backtracker': 'Retroceso recursivo',
+            'visualizer.mazes.prim': 'Algoritmo de Prim',
+            'visualizer.mazes.kruskal': 'Algoritmo de Kruskal',
+            'visualizer.mazes.division': 'División recursiva',
+            'visualizer.generate': 'Generar',
+            'visualizer.run': 'Ejecutar',
+            'visualizer.step': 'Paso',
+            'visualizer.clear': 'Borrar muros',
+            'visualizer.exit': 'Salir',
+            'visualizer.grid': 'Cuadrícula de búsqueda de caminos. Las flechas mueven el cursor, Espacio alterna un muro, S y E colocan el inicio y el final, Intro ejecuta la búsqueda, N avanza un paso y Escape sale.'
+        }
+    },
+    ar: {
+        displayName: 'العربية',
+        dir: 'rtl',
+        messages: {
+            'page.title': '{name} - معرض الأعمال الشخصي',
+            'nav.home': 'الرئيسية',
+            'nav.about': 'نبذة',
+            'nav.skills': 'المهارات',
+            'nav.projects': 'المشاريع',
+            'nav.resume': 'السيرة الذاتية',
+            'nav.blog': 'المدونة',
+            'nav.contact': 'تواصل',
+            'header.language': 'اختر اللغة',
+            'header.visualizer': 'العب بخلفية البحث عن المسار',
+            'header.shareRun': 'انسخ رابط هذا التشغيل',
+            'header.shareRunEdited': 'لا يمكن مشاركة الشبكات المعدّلة؛ أنشئ متاهة جديدة لمشاركة تشغيل',
+            'header.linkCopied': 'تم نسخ الرابط',
+            'header.copyPrompt': 'انسخ هذا الرابط لإعادة التشغيل:',
+            'header.palette': 'اختر لوحة الألوان',
+            'header.palettes': 'لوحات الألوان',
+            'header.skip': 'انتقل إلى المحتوى',
+            'header.backToTop': 'العودة إلى الأعلى',
+            'theme.toggle': 'المظهر: {mode}. التبديل إلى {next}',
+            'theme.changed': 'المظهر: {mode}، لوحة {palette}',
+            'theme.dark': 'داكن',
+            'theme.light': 'فاتح',
+            'theme.system': 'النظام',
+            'palette.amber': 'اختر المظهر الكهرماني',
+            'palette.forest': 'اختر مظهر الغابة',
+            'palette.sky': 'اختر مظهر السماء',
+            'palette.rose': 'اختر المظهر الوردي',
+            'palette.custom': 'اختر لونًا مميزًا مخصصًا',
+            'hero.greeting': 'مرحبًا، أنا {name}',
+            'hero.welcome': 'أهلًا بك في مساحتي الرقمية. أصمم تجارب ويب جميلة وعملية.',
+            'hero.cta': 'لنتواصل',
+            'about.title': 'نبذة عني',
+            'about.picture': 'الصورة الشخصية',
+            'skills.title': 'مهاراتي',
+            'skills.icon': 'أيقونة {name}',
+            'projects.title': 'مشاريعي',
+            'projects.search': 'ابحث في المشاريع',
+            'projects.searchLabel': 'ابحث في المشاريع حسب العنوان أو الوصف',
+            'projects.filterLabel': 'صفِّ المشاريع حسب التقنية',
+            'projects.all': 'الكل',
+            'projects.empty': 'لا توجد مشاريع تطابق عوامل التصفية.',
+            'projects.byTech': 'اعرض المشاريع المبنية باستخدام {tech}',
+            'projects.code': 'GitHub',
+            'projects.live': 'عرض مباشر',
+            'projects.screenshot': 'لقطة شاشة من {title}',
+            'projects.close': 'أغلق تفاصيل المشروع',
+            'resume.title': 'السيرة الذاتية',
+            'resume.download': 'عرض السيرة الذاتية',
+            'resume.ongoing': '{start} – حتى الآن',
+            'resume.filterLabel': 'صفِّ المسيرة حسب النوع',
+            'resume.kind.work': 'الخبرة',
+            'resume.kind.education': 'التعليم',
+            'resume.kind.award': 'الجوائز',
+            'resume.projects': 'المشاريع:',
+            'blog.title': 'كتاباتي',
+            'blog.filterLabel': 'صفِّ المقالات حسب الوسم',
+            'blog.byTag': 'اعرض المقالات الموسومة بـ {tag}',
+            'blog.empty': 'لا توجد مقالات بهذا الوسم.',
+            'blog.back': 'كل المقالات',
+            'blog.contents': 'المحتويات',
+            'blog.related': 'مقالات ذات صلة:',
+            'blog.notFound': 'تعذّر العثور على هذه المقالة.',
+            'blog.unavailable': 'تعذّر تحميل المقالات حاليًا.',
+            'cv.label': 'سيرة ذاتية قابلة للطباعة',
+            'cv.print': 'اطبع أو احفظ بصيغة PDF',
+            'cv.close': 'أغلق السيرة الذاتية',
+            'contact.title': 'لنتعاون',
+            'contact.name': 'اسمك',
+            'contact.email': 'بريدك الإلكتروني',
+            'contact.type': 'نوع التعاون',
+            'contact.typePortfolio': 'مراجعة معرض الأعمال',
+            'contact.typeOpenSource': 'مصدر مفتوح',
+            'contact.typeFreelance': 'مشروع مستقل',
+            'contact.typeOther': 'أخرى',
+            'contact.message': 'رسالتك',
+            'contact.honeypot': 'اترك هذا الحقل فارغًا',
+            'contact.send': 'أرسل الرسالة',
+            'contact.sending': 'جارٍ الإرسال...',
+            'contact.thanks': 'شكرًا على رسالتك! سأرد عليك قريبًا.',
+            'contact.offline': 'أنت غير متصل. حُفظت رسالتك وستُرسل تلقائيًا عند عودة الاتصال.',
+            'contact.queued': 'تعذّر إرسال رسالتك الآن. حُفظت وستُعاد محاولة إرسالها تلقائيًا.',
+            'contact.flushed': {
+                one: 'أُرسلت رسالتك المحفوظة. شكرًا لك!',
+                other: 'أُرسلت رسائلك المحفوظة ({count}). شكرًا لك!'
+            },
+            'contact.failed': 'عذرًا! حدث خطأ ما. يُرجى المحاولة لاحقًا.',
+            'contact.networkError': 'تعذّر إرسال الرسالة لأن الشبكة غير متاحة.',
+            'contact.unavailable': 'خدمة الرسائل غير متاحة ({status}).',
+            'contact.mailtoReady': 'من المفترض أن يفتح تطبيق البريد الآن والرسالة جاهزة للإرسال.',
+            'contact.noEmail': 'لم يُضبط بريد إلكتروني للتواصل.',
+            'contact.mockRejected': 'رفضت وسيلة الإرسال التجريبية هذه الرسالة.',
+            'contact.mockRejectedEmail': 'رفضت وسيلة الإرسال التجريبية هذا العنوان.',
+            'stats.stars': { one: 'نجمة واحدة', two: 'نجمتان', other: '{count} نجمة' },
+            'stats.pushed': 'آخر تحديث {time}',
+            'stats.asOf': 'بيانات {time}',
+            'stats.leetcode': 'LeetCode',
+            'stats.solved': { one: 'مسألة واحدة محلولة', other: '{count} مسألة محلولة' },
+            'stats.easy': 'سهلة',
+            'stats.medium': 'متوسطة',
+            'stats.hard': 'صعبة',
+            'validation.nameRequired': 'يُرجى إدخال اسمك.',
+            'validation.nameShort': 'يجب ألا يقل اسمك عن حرفين.',
+            'validation.emailRequired': 'يُرجى إدخال بريدك الإلكتروني.',
+            'validation.emailInvalid': 'يُرجى إدخال بريد إلكتروني صالح، مثل name@example.com.',
+            'validation.typeRequired': 'يُرجى اختيار نوع التعاون.',
+            'validation.messageRequired': 'يُرجى كتابة رسالة.',
+            'validation.messageShort': 'يجب ألا تقل رسالتك عن 10 أحرف.',
+            'validation.messageLong': 'يجب ألا تزيد رسالتك على 5000 حرف.',
+            'footer.copyright': '© {year} {name}. جميع الحقوق محفوظة.',
+            'visualizer.controls': 'أدوات التحكم في البحث عن المسار',
+            'visualizer.algorithm': 'خوارزمية البحث',
+            'visualizer.maze': 'مولّد المتاهة',
+            'visualizer.algorithms.bfs': 'البحث بالعرض أولًا',
+            'visualizer.algorithms.dfs': 'البحث بالعمق أولًا',
+            'visualizer.algorithms.dijkstra': 'خوارزمية ديكسترا',
+            'visualizer.algorithms.astar': 'بحث A*',
+            'visualizer.algorithms.greedy': 'البحث الجشع الأفضل أولًا',
+            'visualizer.mazes.scatter': 'توزيع عشوائي',
+            'visualizer.mazes.backtracker': 'التراجع التكراري',
+            'visualizer.mazes.prim': 'خوارزمية بريم',
+            'visualizer.mazes.kruskal': 'خوارزمية كروسكال',
+            'visualizer.mazes.division': 'التقسيم التكراري',
+            'visualizer.generate': 'توليد',
+            'visualizer.run': 'تشغيل',
+            'visualizer.step': 'خطوة',
+            'visualizer.clear': 'مسح الجدران',
+            'visualizer.exit': 'خروج',
+            'visualizer.grid': 'شبكة البحث عن المسار. تحرّك مفاتيح الأسهم المؤشر، ومفتاح المسافة يبدّل الجدار، وS وE تضعان البداية والنهاية، وEnter يشغّل البحث، وN يتقدّم خطوة، وEscape للخروج.'
+        }
+    }
+};
+
+// Elements opt in with data-i18n="key" for their text and data-i18n-<attribute>="key" for these attributes.
+// The element's other data-* attributes fill the message's {placeholders}.
+const I18N_ATTRIBUTES = ['placeholder', 'aria-label', 'title', 'alt'];
+
+// The active locale; always a key of LOCALES
+export let currentLanguage = 'en';
+
+// A choice made with the switcher wins; otherwise the first supported browser language, then English
+function getLanguage() {
+    const stored = localStorage.getItem('language');
+    if (LOCALES[stored]) return stored;
+    const preferred = (navigator.languages || [navigator.language])
+        .map(tag => String(tag).toLowerCase().split('-')[0])
+        .find(code => LOCALES[code]);
+    return preferred || 'en';
+}
+
+export function t(key, params = {}) {
+    let message = LOCALES[currentLanguage].messages[key] ?? LOCALES.en.messages[key] ?? key;
+    if (typeof message === 'object') {
+        message = message[new Intl.PluralRules(currentLanguage).select(params.count)] ?? message.other;
+    }
+    return message.replace(/\{(\w+)\}/g, (match, name) => params[name] ?? match);
+}
+
+// Months are stored as YYYY-MM; a missing end means the entry is ongoing
+export function formatDateRange(start, end) {
+    const toDate = (month) => {
+        const [year, monthNumber] = month.split('-').map(Number);
+        return new Date(Date.UTC(year, monthNumber - 1));
+    };
+    const format = new Intl.DateTimeFormat(currentLanguage, { month: 'short', year: 'numeric', timeZone: 'UTC' });
+    if (!end) return t('resume.ongoing', { start: format.format(toDate(start)) });
+    return format.formatRange(toDate(start), toDate(end));
+}
+
+// Days are stored as YYYY-MM-DD
+export function formatDate(day) {
+    const [year, month, date] = day.split('-').map(Number);
+    return new Intl.DateTimeFormat(currentLanguage, { dateStyle: 'medium', timeZone: 'UTC' })
+        .format(new Date(Date.UTC(year, month - 1, date)));
+}
+
+// Re-translates marked elements in place, so rendered sections keep their state when the language changes
+function translatePage(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(element => {
+        element.textContent = t(element.dataset.i18n, element.dataset);
+    });
+    I18N_ATTRIBUTES.forEach(attribute => {
+        root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+            element.setAttribute(attribute, t(element.getAttribute(`data-i18n-${attribute}`), element.dataset));
+        });
+    });
+    root.querySelectorAll('[data-date-start]').forEach(element => {
+        element.textContent = formatDateRange(element.dataset.dateStart, element.dataset.dateEnd);
+    });
+    root.querySelectorAll('[data-date]').forEach(element => {
+        element.textContent = formatDate(element.dataset.date);
+    });
+}
+
+export function applyLanguage(root = document) {
+    currentLanguage = getLanguage();
+    const { dir } = LOCALES[currentLanguage];
+    const html = document.documentElement;
+    html.lang = currentLanguage;
+    html.dir = dir;
+    // Read by the inline script in index.html so right-to-left pages don't flip after loading
+    localStorage.setItem('languageCache', JSON.stringify({ lang: currentLanguage, dir }));
+    translatePage(root);
+    document.dispatchEvent(new CustomEvent('language:change', { detail: { language: currentLanguage, dir } }));
+}
+
+export function setupLanguageSwitcher(root) {
+    const languageSelect = root.querySelector('#language-select');
+    Object.entries(LOCALES).forEach(([code, locale]) => {
+        const option = new Option(locale.displayName, code);
+        option.lang = code;
+        languageSelect.add(option);
+    });
+    languageSelect.value = currentLanguage;
+    languageSelect.addEventListener('change', () => {
+        localStorage.setItem('language', languageSelect.value);
+        applyLanguage(root);
+    });
+    // Follow the browser's language until the visitor picks one
+    window.addEventListener('languagechange', () => {
+        if (!LOCALES[localStorage.getItem('language')]) applyLanguage(root);
+    });
+    document.addEventListener('language:change', () => { languageSelect.value = currentLanguage; });
+}
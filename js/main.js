@@ -0,0 +1,57 @@
+// Entry point: init() wires every part of the site to a page. index.html calls it once the modules load.
+
+import { setupAnalytics } from './analytics.js';
+import { setupBlog } from './blog.js';
+import { config as defaultConfig } from './config.js';
+import { setupContactForm } from './contact.js';
+import { loadContent } from './content.js';
+import { applyLanguage, setupLanguageSwitcher } from './i18n.js';
+import { currentContent, populateData, readPrerenderedContent, useContent } from './render.js';
+import { setupRevealAnimations, setupScrollEvents, setupScrollListeners } from './scroll.js';
+import { setupCvView, setupProjectFilters, setupProjectModal, setupResumeFilters } from './sections.js';
+import { setupStatsWidgets } from './stats.js';
+import { applyTheme, loadCustomTheme, setupColorPalette, setupThemeToggle } from './theme.js';
+import { setupPathfindingVisualizer } from './visualizer.js';
+
+function setupServiceWorker() {
+    // Workers need http(s)
+    if (!('serviceWorker' in navigator) || !window.location.protocol.startsWith('http')) return;
+    const register = () => navigator.serviceWorker.register('sw.js')
+        .catch(error => console.warn('Service worker registration failed; the site will not work offline.\n', error));
+    // Precaching waits for the page's own loading to finish
+    if (document.readyState === 'complete') register();
+    else window.addEventListener('load', register, { once: true });
+}
+
+// root is the document, or an element holding the page's markup; everything is looked up inside it.
+// config is the built-in content (the fallback when content.json can't be loaded) plus the contact,
+// stats, blog, analytics and visualizer settings; see config.js.
+export async function init(root = document, config = defaultConfig) {
+    setupAnalytics(root, config.analytics);
+    applyLanguage(root);
+    setupLanguageSwitcher(root);
+    loadCustomTheme();
+    applyTheme(root); // As early as possible; index.html has already painted the cached colors
+    setupThemeToggle(root);
+    setupColorPalette(root);
+    setupContactForm(root, config.contact);
+    setupScrollListeners(root);
+    setupScrollEvents(root);
+    setupRevealAnimations(root);
+    setupPathfindingVisualizer(root, config.visualizer);
+
+    // Prerendered pages are hydrated: the markup stays and only behaviour is attached below.
+    // Otherwise content-driven sections render once the content file has loaded (or fallen back).
+    const prerendered = readPrerenderedContent(root);
+    if (prerendered) useContent(prerendered);
+    else populateData(root, await loadContent(config));
+    setupProjectFilters(root);
+    setupProjectModal(root);
+    setupResumeFilters(root);
+    setupCvView(root);
+    setupBlog(root, config.blog, currentContent);
+    setupStatsWidgets(root, config.stats, currentContent);
+    setupServiceWorker();
+
+    console.log("✅ Initialization complete.");
+}
@@ -0,0 +1,197 @@
+// A small Markdown renderer for the blog posts, with syntax highlighting for fenced code blocks.
+// Output is built with the html`` tag, so everything in a post is escaped: it can't introduce its own tags.
+
+import { html, safeUrl } from './render.js';
+
+const STRING_PATTERNS = {
+    double: '"(?:\\\\.|[^"\\\\\\n])*"',
+    single: "'(?:\\\\.|[^'\\\\\\n])*'",
+    backtick: '`(?:\\\\.|[^`\\\\])*`'
+};
+const NUMBER_PATTERN = '\\b\\d+(?:\\.\\d+)?\\b';
+const C_COMMENTS = '\\/\\/.*|\\/\\*[\\s\\S]*?\\*\\/';
+
+// Per language: the comment and string syntax, and the words to mark as keywords
+const CODE_LANGUAGES = {
+    js: {
+        comments: C_COMMENTS,
+        strings: [STRING_PATTERNS.double, STRING_PATTERNS.single, STRING_PATTERNS.backtick],
+        keywords: 'async await break case catch class const continue default delete do else export extends false finally for from function if import in instanceof let new null of return static super switch this throw true try typeof undefined var void while yield'
+    },
+    python: {
+        comments: '#.*',
+        strings: ['"""[\\s\\S]*?"""', "'''[\\s\\S]*?'''", STRING_PATTERNS.double, STRING_PATTERNS.single],
+        keywords: 'and as assert async await break class continue def del elif else except False finally for from global if import in is lambda None nonlocal not or pass raise return True try while with yield'
+    },
+    cpp: {
+        comments: C_COMMENTS,
+        strings: [STRING_PATTERNS.double, STRING_PATTERNS.single],
+        keywords: 'auto bool break case catch char class const constexpr continue default delete do double else enum false float for if include int long namespace new nullptr private protected public return short signed sizeof static struct switch template this throw true try typedef typename unsigned using virtual void while'
+    },
+    css: {
+        comments: '\\/\\*[\\s\\S]*?\\*\\/',
+        strings: [STRING_PATTERNS.double, STRING_PATTERNS.single],
+        keywords: 'important inherit initial none auto'
+    },
+    json: {
+        comments: null,
+        strings: [STRING_PATTERNS.double],
+        keywords: 'true false null'
+    },
+    bash: {
+        comments: '#.*',
+        strings: [STRING_PATTERNS.double, STRING_PATTERNS.single],
+        keywords: 'case do done echo elif else esac export fi for function if in local return then while'
+    }
+};
+const LANGUAGE_ALIASES = { javascript: 'js', mjs: 'js', py: 'python', 'c++': 'cpp', c: 'cpp', sh: 'bash', shell: 'bash' };
+
+const tokenPatterns = new Map();
+
+function tokenPattern(language) {
+    if (!tokenPatterns.has(language)) {
+        const { comments, strings } = CODE_LANGUAGES[language];
+        const groups = [comments || '(?!)', strings.join('|'), NUMBER_PATTERN, '\\b[A-Za-z_$][\\w$]*\\b'];
+        tokenPatterns.set(language, new RegExp(groups.map(group => `(${group})`).join('|'), 'g'));
+    }
+    return tokenPatterns.get(language);
+}
+
+// Wraps comments, strings, numbers and keywords in token-* spans; unknown languages are only escaped
+export function highlightCode(code, language) {
+    const name = LANGUAGE_ALIASES[language] || language;
+    const spec = CODE_LANGUAGES[name];
+    if (!spec) return html`${code}`;
+    const keywords = new Set(spec.keywords.split(' '));
+    const parts = [];
+    let last = 0;
+    for (const match of code.matchAll(tokenPattern(name))) {
+        const [token, comment, string, number] = match;
+        const kind = comment ? 'comment' : string ? 'string' : number ? 'number' : keywords.has(token) ? 'keyword' : null;
+        if (!kind) continue;
+        parts.push(code.slice(last, match.index), html`<span class="token-${kind}">${token}</span>`);
+        last = match.index + token.length;
+    }
+    parts.push(code.slice(last));
+    return html`${parts}`;
+}
+
+function slugify(value) {
+    return value.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-+|-+$/g, '') || 'section';
+}
+
+// Code spans, images, links, bold and italics; anything else is text
+const INLINE_PATTERN = /`([^`]+)`|!\[([^\]]*)\]\(([^)\s]+)\)|\[([^\]]+)\]\(([^)\s]+)\)|\*\*(.+?)\*\*|\*(.+?)\*|(?<!\w)_(.+?)_(?!\w)/g;
+
+function renderInline(text, resolveUrl) {
+    const parts = [];
+    let last = 0;
+    for (const match of text.matchAll(INLINE_PATTERN)) {
+        const [token, code, alt, src, label, href, strong, em, underscored] = match;
+        parts.push(text.slice(last, match.index));
+        last = match.index + token.length;
+        if (code !== undefined) parts.push(html`<code>${code}</code>`);
+        else if (src !== undefined) parts.push(html`<img src="${safeUrl(resolveUrl(src))}" alt="${alt}" loading="lazy">`);
+        else if (href !== undefined) {
+            const external = /^https?:/.test(href);
+            parts.push(html`<a href="${safeUrl(resolveUrl(href))}"${external ? html` target="_blank" rel="noopener noreferrer"` : ''}>${renderInline(label, resolveUrl)}</a>`);
+        } else if (strong !== undefined) parts.push(html`<strong>${renderInline(strong, resolveUrl)}</strong>`);
+        else parts.push(html`<em>${renderInline(em ?? underscored, resolveUrl)}</em>`);
+    }
+    parts.push(text.slice(last));
+    return parts;
+}
+
+// Inline syntax stripped, for summaries and heading ids
+function plainText(text) {
+    return text.replace(/!\[[^\]]*\]\([^)]*\)/g, '').replace(/\[([^\]]+)\]\([^)]*\)/g, '$1').replace(/[`*]|(?<!\w)_|_(?!\w)/g, '').trim();
+}
+
+const BLOCK_STARTS = [/^```/, /^#{1,6}\s/, /^>/, /^\s*(?:[-*+]|\d+\.)\s+/, /^(?:-{3,}|\*{3,})\s*$/];
+
+// Splits Markdown into blocks: { type: 'code' | 'heading' | 'rule' | 'quote' | 'list' | 'paragraph', ... }
+function parseBlocks(markdown) {
+    const lines = markdown.replace(/\r\n?/g, '\n').split('\n');
+    const blocks = [];
+    let i = 0;
+    while (i < lines.length) {
+        const line = lines[i];
+        let match;
+        if (!line.trim()) {
+            i++;
+        } else if ((match = /^```\s*([\w+-]*)\s*$/.exec(line))) {
+            const code = [];
+            for (i++; i < lines.length && !/^```\s*$/.test(lines[i]); i++) code.push(lines[i]);
+            i++; // The closing fence
+            blocks.push({ type: 'code', language: match[1].toLowerCase(), code: code.join('\n') });
+        } else if ((match = /^(#{1,6})\s+(.*?)(?:\s+#+)?\s*$/.exec(line))) {
+            blocks.push({ type: 'heading', level: match[1].length, text: match[2] });
+            i++;
+        } else if (/^(?:-{3,}|\*{3,})\s*$/.test(line)) {
+            blocks.push({ type: 'rule' });
+            i++;
+        } else if (line.startsWith('>')) {
+            const quoted = [];
+            for (; i < lines.length && lines[i].startsWith('>'); i++) quoted.push(lines[i].replace(/^>\s?/, ''));
+            blocks.push({ type: 'quote', blocks: parseBlocks(quoted.join('\n')) });
+        } else if ((match = /^\s*([-*+]|\d+\.)\s+/.exec(line))) {
+            const ordered = /\d/.test(match[1]);
+            const items = [];
+            for (; i < lines.length && lines[i].trim(); i++) {
+                const item = /^\s*(?:[-*+]|\d+\.)\s+(.*)$/.exec(lines[i]);
+                if (item) items.push(item[1]);
+                else items[items.length - 1] += ` ${lines[i].trim()}`; // A wrapped line of the previous item
+            }
+            blocks.push({ type: 'list', ordered, items });
+        } else {
+            const text = [];
+            for (; i < lines.length && lines[i].trim() && (!text.length || !BLOCK_STARTS.some(start => start.test(lines[i]))); i++) {
+                text.push(lines[i].trim());
+            }
+            blocks.push({ type: 'paragraph', text: text.join(' ') });
+        }
+    }
+    return blocks;
+}
+
+// Returns the markup and the headings ({ level, id, text }) for a table of contents. Heading ids start with
+// idPrefix and levels are shifted by headingOffset, so a post's ## sits under the page's own headings.
+// Relative links and images are resolved against baseUrl when one is given, as feeds need.
+export function markdownToHtml(markdown, { idPrefix = '', headingOffset = 0, baseUrl = null } = {}) {
+    const resolveUrl = (url) => baseUrl ? new URL(url, baseUrl).href : url;
+    const headings = [];
+    const usedIds = new Set();
+    const renderBlock = (block) => {
+        switch (block.type) {
+            case 'code':
+                return html`<pre class="code-block"${block.language ? html` data-language="${block.language}"` : ''}><code>${highlightCode(block.code, block.language)}</code></pre>`;
+            case 'heading': {
+                const base = `${idPrefix}${slugify(plainText(block.text))}`;
+                let id = base;
+                for (let n = 2; usedIds.has(id); n++) id = `${base}-${n}`;
+                usedIds.add(id);
+                headings.push({ level: block.level, id, text: plainText(block.text) });
+                const tag = `h${Math.min(6, block.level + headingOffset)}`;
+                return html`<${tag} id="${id}">${renderInline(block.text, resolveUrl)}</${tag}>`;
+            }
+            case 'rule':
+                return html`<hr>`;
+            case 'quote':
+                return html`<blockquote>${block.blocks.map(renderBlock)}</blockquote>`;
+            case 'list': {
+                const items = block.items.map(item => html`<li>${renderInline(item, resolveUrl)}</li>`);
+                return block.ordered ? html`<ol>${items}</ol>` : html`<ul>${items}</ul>`;
+            }
+            default:
+                return html`<p>${renderInline(block.text, resolveUrl)}</p>`;
+        }
+    };
+    const markup = html`${parseBlocks(markdown).map(renderBlock)}`;
+    return { markup, headings };
+}
+
+// The first paragraph as plain text, for posts without a summary
+export function markdownExcerpt(markdown) {
+    const paragraph = parseBlocks(markdown).find(block => block.type === 'paragraph');
+    return paragraph ? plainText(paragraph.text) : '';
+}
@@ -0,0 +1,163 @@
+// Maze generators for the pathfinding background, and the seeded randomness that makes runs replayable.
+
+import { WALL } from './search.js';
+
+// Mulberry32: a tiny seeded PRNG, so a run can be replayed exactly from its seed
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+export const newSeed = () => Math.floor(Math.random() * 4294967296);
+
+// Maze generators are generator functions that mutate viz.grid and yield after every visible
+// change, so the visualizer can animate generation one frame-sized batch at a time. They only
+// touch rows from viz.topRow down, keeping the header fade zone clear.
+function* carveLattice(viz, carveFrom) {
+    // Lattice mazes use odd (relative) coordinates for passages and even ones for walls
+    viz.fillRegion(WALL);
+    const cells = viz.latticeCells();
+    if (cells.length === 0) return;
+    yield* carveFrom(cells);
+}
+
+function latticeNeighbors(viz, cell) {
+    return [[2, 0], [-2, 0], [0, 2], [0, -2]]
+        .map(([dx, dy]) => ({ x: cell.x + dx, y: cell.y + dy }))
+        .filter(next => viz.isLatticeCell(next));
+}
+
+function carveBetween(viz, a, b) {
+    viz.grid[(a.x + b.x) / 2][(a.y + b.y) / 2] = 0;
+    viz.grid[b.x][b.y] = 0;
+}
+
+export const MAZE_GENERATORS = {
+    scatter: {
+        *generate(viz) {
+            const count = (viz.cols * viz.rows) * 0.2;
+            for (let i = 0; i < count; i++) {
+                const x = viz.randomInt(viz.cols);
+                const y = viz.topRow + viz.randomInt(viz.rows - viz.topRow);
+                viz.grid[x][y] = WALL;
+                yield;
+            }
+        }
+    },
+    backtracker: {
+        generate: (viz) => carveLattice(viz, function* (cells) {
+            const first = cells[viz.randomInt(cells.length)];
+            viz.grid[first.x][first.y] = 0;
+            const stack = [first];
+            while (stack.length) {
+                const current = stack[stack.length - 1];
+                const options = latticeNeighbors(viz, current).filter(next => viz.grid[next.x][next.y] === WALL);
+                if (options.length === 0) {
+                    stack.pop();
+                    continue;
+                }
+                const next = options[viz.randomInt(options.length)];
+                carveBetween(viz, current, next);
+                stack.push(next);
+                yield;
+            }
+        })
+    },
+    prim: {
+        generate: (viz) => carveLattice(viz, function* (cells) {
+            const first = cells[viz.randomInt(cells.length)];
+            viz.grid[first.x][first.y] = 0;
+            const frontier = latticeNeighbors(viz, first).map(cell => ({ cell, from: first }));
+            while (frontier.length) {
+                const index = viz.randomInt(frontier.length);
+                const { cell, from } = frontier[index];
+                frontier[index] = frontier[frontier.length - 1];
+                frontier.pop();
+                if (viz.grid[cell.x][cell.y] !== WALL) continue;
+                carveBetween(viz, from, cell);
+                latticeNeighbors(viz, cell)
+                    .filter(next => viz.grid[next.x][next.y] === WALL)
+                    .forEach(next => frontier.push({ cell: next, from: cell }));
+                yield;
+            }
+        })
+    },
+    kruskal: {
+        generate: (viz) => carveLattice(viz, function* (cells) {
+            const ids = new Map(cells.map((cell, i) => [viz.index(cell.x, cell.y), i]));
+            const parents = cells.map((_, i) => i);
+            const find = (i) => {
+                while (parents[i] !== i) {
+                    parents[i] = parents[parents[i]];
+                    i = parents[i];
+                }
+                return i;
+            };
+            const edges = [];
+            cells.forEach(cell => {
+                viz.grid[cell.x][cell.y] = 0;
+                [{ x: cell.x + 2, y: cell.y }, { x: cell.x, y: cell.y + 2 }]
+                    .filter(next => viz.isLatticeCell(next))
+                    .forEach(next => edges.push([cell, next]));
+            });
+            yield;
+            for (let i = edges.length - 1; i > 0; i--) {
+                const j = viz.randomInt(i + 1);
+                [edges[i], edges[j]] = [edges[j], edges[i]];
+            }
+            for (const [a, b] of edges) {
+                const rootA = find(ids.get(viz.index(a.x, a.y)));
+                const rootB = find(ids.get(viz.index(b.x, b.y)));
+                if (rootA === rootB) continue;
+                parents[rootA] = rootB;
+                carveBetween(viz, a, b);
+                yield;
+            }
+        })
+    },
+    division: {
+        *generate(viz) {
+            viz.fillRegion(0);
+            const { maxX, maxY } = viz.latticeBounds();
+            // Outer border, plus anything past the lattice on ragged right/bottom edges
+            for (let x = 0; x < viz.cols; x++) {
+                for (let y = viz.topRow; y < viz.rows; y++) {
+                    if (x === 0 || y === viz.topRow || x > maxX || y > maxY) viz.grid[x][y] = WALL;
+                }
+            }
+            yield;
+            const chambers = [{ x1: 1, y1: viz.topRow + 1, x2: maxX - 1, y2: maxY - 1 }];
+            while (chambers.length) {
+                const { x1, y1, x2, y2 } = chambers.pop();
+                const width = x2 - x1;
+                const height = y2 - y1;
+                if (width < 2 && height < 2) continue;
+                const horizontal = height > width || (height === width && viz.random() < 0.5);
+                if (horizontal) {
+                    // Walls sit on even offsets from the chamber edge, gaps on odd ones
+                    const wallY = y1 + 1 + 2 * viz.randomInt(height / 2);
+                    const gapX = x1 + 2 * viz.randomInt(width / 2 + 1);
+                    for (let x = x1; x <= x2; x++) {
+                        if (x !== gapX) viz.grid[x][wallY] = WALL;
+                        if ((x - x1) % 2 === 1) yield;
+                    }
+                    chambers.push({ x1, y1, x2, y2: wallY - 1 }, { x1, y1: wallY + 1, x2, y2 });
+                } else {
+                    const wallX = x1 + 1 + 2 * viz.randomInt(width / 2);
+                    const gapY = y1 + 2 * viz.randomInt(height / 2 + 1);
+                    for (let y = y1; y <= y2; y++) {
+                        if (y !== gapY) viz.grid[wallX][y] = WALL;
+                        if ((y - y1) % 2 === 1) yield;
+                    }
+                    chambers.push({ x1, y1, x2: wallX - 1, y2 }, { x1: wallX + 1, y1, x2, y2 });
+                }
+            }
+        }
+    }
+};
@@ -0,0 +1,251 @@
+// Turns portfolio content into markup: the escaping html`` tag, rich-text sanitizing and the section templates.
+// Shared with build.js, which prerenders the same bindings into the page.
+
+import { isSafeUrl, parseGithubRepo, projectSlug, TIMELINE_KINDS } from './content.js';
+import { formatDateRange, t } from './i18n.js';
+
+// Markup built with the html`` tag. Interpolated values are escaped unless they are SafeHtml themselves,
+// so only html`` templates and richText() output can introduce tags.
+class SafeHtml {
+    constructor(value) {
+        this.value = value;
+    }
+
+    toString() {
+        return this.value;
+    }
+}
+
+// Tags (and their permitted attributes) that rich text such as project details may use
+const RICH_TEXT_TAGS = {
+    a: ['href', 'title'],
+    b: [], strong: [], i: [], em: [], code: [], br: [], p: [],
+    ul: [], ol: [], li: []
+};
+const VOID_TAGS = ['br'];
+// Dropped together with everything inside them rather than unwrapped
+const DROP_WITH_CONTENT = ['script', 'style', 'iframe', 'object', 'embed', 'template', 'noscript', 'textarea', 'title', 'svg', 'math'];
+
+
+function escapeHtml(value) {
+    return String(value).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+function interpolate(value) {
+    if (value instanceof SafeHtml) return value.value;
+    if (Array.isArray(value)) return value.map(interpolate).join('');
+    if (value === null || value === undefined || value === false) return '';
+    return escapeHtml(value);
+}
+
+export function html(strings, ...values) {
+    return new SafeHtml(strings.reduce((out, string, i) => out + string + (i < values.length ? interpolate(values[i]) : ''), ''));
+}
+
+// For href/src attributes: escaping alone would still let a javascript: URL through
+export function safeUrl(value) {
+    return isSafeUrl(value) ? value : '#';
+}
+
+// Escapes text while leaving existing character references such as &amp; or &#8211; intact
+function escapeText(value) {
+    return value.replace(/&(?!(?:[a-z][a-z0-9]*|#\d+|#x[0-9a-f]+);)/gi, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function sanitizeAttributes(tag, source) {
+    const allowed = RICH_TEXT_TAGS[tag];
+    const attributes = [];
+    for (const [, name, double, single, bare] of source.matchAll(/([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g)) {
+        const attribute = name.toLowerCase();
+        const value = double ?? single ?? bare ?? '';
+        if (!allowed.includes(attribute)) continue;
+        if (attribute === 'href' && !isSafeUrl(value)) continue;
+        attributes.push(` ${attribute}="${escapeHtml(value)}"`);
+    }
+    if (tag === 'a') attributes.push(' target="_blank" rel="noopener noreferrer"');
+    return attributes.join('');
+}
+
+// Allowlist sanitizer for the few content fields that carry markup. Works on strings (no DOM needed),
+// keeps allowlisted tags and attributes, unwraps other tags, drops script-like elements with their
+// content and closes anything left open so the fragment cannot leak into the surrounding markup.
+function sanitizeHtml(input) {
+    const out = [];
+    const open = [];
+    let dropping = null;
+    let last = 0;
+    for (const match of input.matchAll(/<!--[\s\S]*?(?:-->|$)|<(\/?)([a-zA-Z][a-zA-Z0-9-]*)([^>]*)>/g)) {
+        if (!dropping) out.push(escapeText(input.slice(last, match.index)));
+        last = match.index + match[0].length;
+        const [, closing, rawTag, attributes] = match;
+        if (!rawTag) continue; // Comment
+        const tag = rawTag.toLowerCase();
+
+        if (dropping) {
+            if (closing && tag === dropping) dropping = null;
+        } else if (DROP_WITH_CONTENT.includes(tag)) {
+            if (!closing && !attributes.trim().endsWith('/')) dropping = tag;
+        } else if (RICH_TEXT_TAGS[tag]) {
+            if (VOID_TAGS.includes(tag)) {
+                if (!closing) out.push(`<${tag}>`);
+            } else if (!closing) {
+                out.push(`<${tag}${sanitizeAttributes(tag, attributes)}>`);
+                open.push(tag);
+            } else if (open.includes(tag)) {
+                while (open.length) {
+                    const top = open.pop();
+                    out.push(`</${top}>`);
+                    if (top === tag) break;
+                }
+            }
+        }
+    }
+    if (!dropping) out.push(escapeText(input.slice(last)));
+    while (open.length) out.push(`</${open.pop()}>`);
+    return out.join('');
+}
+
+function richText(value) {
+    return new SafeHtml(sanitizeHtml(String(value)));
+}
+
+// Replaces the children of `target` with the parsed template in a single DOM operation
+export function render(target, template) {
+    const element = target.ownerDocument.createElement('template');
+    element.innerHTML = String(template);
+    target.replaceChildren(element.content);
+}
+
+function socialLinksTemplate(socials) {
+    return html`<a href="${safeUrl(socials.github)}" target="_blank" aria-label="GitHub"><i class="fa-brands fa-github"></i></a><a href="${safeUrl(socials.linkedin)}" target="_blank" aria-label="LinkedIn"><i class="fa-brands fa-linkedin"></i></a><a href="${safeUrl(socials.leetcode)}" target="_blank" aria-label="LeetCode"><i class="fa-solid fa-code"></i></a>`;
+}
+
+function skillTemplate(skill) {
+    // Font Awesome icons or image/SVG icons, as declared by the content schema
+    const icon = skill.icon
+        ? html`<i class="fa-brands ${skill.icon}"></i>`
+        : html`<img src="${safeUrl(skill.img)}" alt="${t('skills.icon', { name: skill.name })}" data-i18n-alt="skills.icon" data-name="${skill.name}" class="skill-img">`;
+    return html`<div class="skill-item">${icon}<span>${skill.name}</span></div>`;
+}
+
+function stackTagsTemplate(stack) {
+    return stack.map(tech => html`<button type="button" class="stack-tag" data-tech="${tech}" aria-label="${t('projects.byTech', { tech })}" data-i18n-aria-label="projects.byTech">${tech}</button>`);
+}
+
+function projectLinksTemplate(project) {
+    const { links } = project;
+    const slug = projectSlug(project);
+    return html`<a href="${safeUrl(links.github)}" target="_blank" data-project="${slug}" data-link="github"><i class="fa-brands fa-github"></i> <span data-i18n="projects.code">${t('projects.code')}</span></a><a href="${safeUrl(links.live)}" target="_blank" data-project="${slug}" data-link="live"><i class="fa-solid fa-up-right-from-square"></i> <span data-i18n="projects.live">${t('projects.live')}</span></a>`;
+}
+
+function projectTemplate(project) {
+    const slug = projectSlug(project);
+    return html`<div class="project-card" data-slug="${slug}" data-reveal="scale" data-reveal-stagger="100" data-reveal-repeat><a href="#projects/${slug}" class="project-img-link" tabindex="-1" aria-hidden="true"><img src="${safeUrl(project.image)}" alt="" class="project-img" loading="lazy"></a><div class="project-content"><h3 class="project-title"><a href="#projects/${slug}">${project.title}</a></h3><p class="project-description">${project.description}</p><div class="project-stack">${stackTagsTemplate(project.stack)}</div><div class="project-links">${projectLinksTemplate(project)}</div>${repoStatsPlaceholder(project.links.github)}${relatedPostsPlaceholder(slug)}</div></div>`;
+}
+
+// Filled in by setupStatsWidgets() when stats for the repository are available
+function repoStatsPlaceholder(url) {
+    const repo = parseGithubRepo(url);
+    return repo ? html`<p class="project-stats" data-repo="${repo}" hidden></p>` : '';
+}
+
+// Filled in by setupBlog() when posts link to the project
+function relatedPostsPlaceholder(slug) {
+    return html`<p class="project-posts" data-posts-for="${slug}" hidden></p>`;
+}
+
+function projectFilterTemplate(projects) {
+    const technologies = [...new Set(projects.flatMap(project => project.stack))].sort((a, b) => a.localeCompare(b));
+    return html`<input type="search" class="project-search" placeholder="${t('projects.search')}" data-i18n-placeholder="projects.search" aria-label="${t('projects.searchLabel')}" data-i18n-aria-label="projects.searchLabel"><div class="filter-chips" role="group" aria-label="${t('projects.filterLabel')}" data-i18n-aria-label="projects.filterLabel"><button type="button" class="filter-chip active" data-tech="" aria-pressed="true" data-i18n="projects.all">${t('projects.all')}</button>${technologies.map(tech => html`<button type="button" class="filter-chip" data-tech="${tech}" aria-pressed="false">${tech}</button>`)}</div>`;
+}
+
+export function projectDetailTemplate(project) {
+    const screenshots = [{ src: project.image, alt: t('projects.screenshot', { title: project.title }) }, ...(project.screenshots || [])];
+    return html`<div class="project-modal-header"><h3 id="project-modal-title">${project.title}</h3><button type="button" class="project-modal-close" aria-label="${t('projects.close')}" data-i18n-aria-label="projects.close"><i class="fa-solid fa-xmark"></i></button></div><div class="project-gallery">${screenshots.map(shot => html`<img src="${safeUrl(shot.src)}" alt="${shot.alt}" loading="lazy">`)}</div><div class="project-modal-body">${project.details ? richText(project.details) : html`<p>${project.description}</p>`}</div><div class="project-stack">${stackTagsTemplate(project.stack)}</div><div class="project-links">${projectLinksTemplate(project)}</div>`;
+}
+
+function dateRangeTemplate(entry, className) {
+    return html`<p class="${className}" data-date-start="${entry.start}" data-date-end="${entry.end || ''}">${formatDateRange(entry.start, entry.end)}</p>`;
+}
+
+function linkedProjectsTemplate(slugs = [], projects) {
+    if (!slugs.length) return '';
+    const linked = slugs.map(slug => projects.find(project => projectSlug(project) === slug));
+    return html`<p class="timeline-links"><span data-i18n="resume.projects">${t('resume.projects')}</span> ${linked.map(project => html`<a href="#projects/${projectSlug(project)}">${project.title}</a>`)}</p>`;
+}
+
+function timelineItemTemplate(entry, projects) {
+    return html`<div class="timeline-item" data-kind="${entry.kind}" data-reveal="flip" data-reveal-stagger="150" data-reveal-threshold="0.5" data-reveal-repeat><div class="timeline-dot"></div><div class="timeline-content"><h4>${entry.role}</h4><p class="timeline-organization">${entry.organization}</p>${dateRangeTemplate(entry, 'timeline-date')}${entry.summary ? html`<p>${entry.summary}</p>` : ''}<ul class="timeline-bullets">${entry.bullets.map(bullet => html`<li>${bullet}</li>`)}</ul>${linkedProjectsTemplate(entry.projects, projects)}</div></div>`;
+}
+
+function timelineFilterTemplate(timeline) {
+    const kinds = TIMELINE_KINDS.filter(kind => timeline.some(entry => entry.kind === kind));
+    return html`<div class="filter-chips" role="group" aria-label="${t('resume.filterLabel')}" data-i18n-aria-label="resume.filterLabel"><button type="button" class="filter-chip active" data-kind="" aria-pressed="true" data-i18n="projects.all">${t('projects.all')}</button>${kinds.map(kind => html`<button type="button" class="filter-chip" data-kind="${kind}" aria-pressed="false" data-i18n="resume.kind.${kind}">${t(`resume.kind.${kind}`)}</button>`)}</div>`;
+}
+
+// The printable CV, generated from the same content as the page so the two can't disagree
+function cvTemplate(content) {
+    const sections = TIMELINE_KINDS
+        .map(kind => [kind, content.resume.timeline.filter(entry => entry.kind === kind)])
+        .filter(([, entries]) => entries.length);
+    const links = Object.values(content.socials).map(url => html`<a href="${safeUrl(url)}">${url.replace(/^https?:\/\/(www\.)?/, '').replace(/\/$/, '')}</a>`);
+    return html`<header class="cv-header"><h1>${content.name}</h1><p class="cv-title">${content.title}</p><p class="cv-contact">${Object.values(content.about.facts).join(' · ')}</p><p class="cv-contact">${links}</p></header><section><h2 data-i18n="about.title">${t('about.title')}</h2><p>${content.about.bio}</p></section>${sections.map(([kind, entries]) => html`<section><h2 data-i18n="resume.kind.${kind}">${t(`resume.kind.${kind}`)}</h2>${entries.map(entry => html`<div class="cv-entry"><div class="cv-entry-heading"><h3>${entry.role} <span class="cv-organization">${entry.organization}</span></h3>${dateRangeTemplate(entry, 'cv-date')}</div>${entry.summary ? html`<p>${entry.summary}</p>` : ''}<ul>${entry.bullets.map(bullet => html`<li>${bullet}</li>`)}</ul>${entry.projects ? html`<p class="cv-projects"><span data-i18n="resume.projects">${t('resume.projects')}</span> ${entry.projects.map(slug => content.projects.find(project => projectSlug(project) === slug).title).join(', ')}</p>` : ''}</div>`)}</section>`)}<section><h2 data-i18n="projects.title">${t('projects.title')}</h2>${content.projects.map(project => html`<div class="cv-entry"><h3>${project.title} <span class="cv-organization">${project.stack.join(', ')}</span></h3><p>${project.description}</p></div>`)}</section><section><h2 data-i18n="skills.title">${t('skills.title')}</h2><p>${content.skills.map(skill => skill.name).join(' · ')}</p></section>`;
+}
+
+function factTemplate([key, value]) {
+    const icon = key === 'Location' ? 'fa-location-dot' : key === 'Education' ? 'fa-graduation-cap' : 'fa-code';
+    return html`<span><i class="fa-solid ${icon}"></i> ${value}</span>`;
+}
+
+// The content currently on the page, for behaviour that needs more than the rendered markup
+export let currentContent = null;
+
+// For pages whose markup is already in place, such as prerendered ones
+export function useContent(content) {
+    currentContent = content;
+}
+
+// What each content-driven element receives, by id: markup to render inside it and attributes to set.
+// populateData() applies these in the browser and build.js writes them into the prerendered page.
+export function contentBindings(content) {
+    const socialLinks = socialLinksTemplate(content.socials);
+    const year = String(new Date().getFullYear());
+    // Marked for translation here rather than in index.html, so they never show an empty {name}
+    const translated = (key) => ({
+        markup: html`${t(key, { name: content.name, year })}`,
+        attributes: { 'data-i18n': key, 'data-name': content.name, 'data-year': year }
+    });
+    return {
+        'html-title': translated('page.title'),
+        'logo-name': { markup: html`${content.name}` },
+        'hero-name': translated('hero.greeting'),
+        'hero-title': { markup: html`${content.title}` },
+        'hero-socials': { markup: socialLinks },
+        'about-picture': { attributes: { src: safeUrl(content.about.picture) } },
+        'about-bio': { markup: html`${content.about.bio}` },
+        'about-facts': { markup: html`${Object.entries(content.about.facts).map(factTemplate)}` },
+        'skills-grid': { markup: html`${content.skills.filter(skill => skill.icon || skill.img).map(skillTemplate)}` },
+        'projects-filter': { markup: projectFilterTemplate(content.projects) },
+        'projects-grid': { markup: html`${content.projects.map(projectTemplate)}` },
+        'resume-filter': { markup: timelineFilterTemplate(content.resume.timeline) },
+        'resume-timeline': { markup: html`${content.resume.timeline.map(entry => timelineItemTemplate(entry, content.projects))}` },
+        'cv-content': { markup: cvTemplate(content) },
+        'footer-socials': { markup: socialLinks },
+        'copyright': translated('footer.copyright')
+    };
+}
+
+export function populateData(root, content) {
+    useContent(content);
+    Object.entries(contentBindings(content)).forEach(([id, { markup, attributes = {} }]) => {
+        const element = root.querySelector(`#${id}`);
+        Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+        if (markup) render(element, markup);
+    });
+}
+
+// Pages built by build.js already contain the rendered sections, plus the content they were rendered from
+export function readPrerenderedContent(root) {
+    const data = root.querySelector('#prerendered-content');
+    return data ? JSON.parse(data.textContent) : null;
+}
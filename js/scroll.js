@@ -0,0 +1,106 @@
+// Scroll-driven behaviour: scroll:progress and section:change events, and the data-reveal animations.
+
+// Publishes scroll:progress (how far through the page, 0 to 1) at most once per frame, and
+// section:change whenever a different section crosses the middle of the viewport
+export function setupScrollEvents(root) {
+    let frame = 0;
+    const publishProgress = () => {
+        frame = 0;
+        const scrollable = document.documentElement.scrollHeight - window.innerHeight;
+        document.dispatchEvent(new CustomEvent('scroll:progress', {
+            detail: { scrollY: window.scrollY, progress: scrollable > 0 ? Math.min(1, window.scrollY / scrollable) : 0 }
+        }));
+    };
+    window.addEventListener('scroll', () => {
+        if (!frame) frame = requestAnimationFrame(publishProgress);
+    }, { passive: true });
+    publishProgress();
+
+    let activeSection = null;
+    const observer = new IntersectionObserver(entries => {
+        entries.forEach(({ target, isIntersecting }) => {
+            if (!isIntersecting || target === activeSection) return;
+            activeSection = target;
+            document.dispatchEvent(new CustomEvent('section:change', { detail: { id: target.id, section: target } }));
+        });
+    }, { rootMargin: '-50% 0px -50% 0px' });
+    root.querySelectorAll('section[id]').forEach(section => observer.observe(section));
+}
+
+export function setupScrollListeners(root) {
+    const scrollTopBtn = root.querySelector('#scrollTopBtn');
+    const navLinks = root.querySelectorAll('.navbar a');
+    document.addEventListener('scroll:progress', ({ detail }) => {
+        scrollTopBtn.classList.toggle('show', detail.scrollY > 200);
+    });
+    document.addEventListener('section:change', ({ detail }) => {
+        navLinks.forEach(link => {
+            const current = link.getAttribute('href') === `#${detail.id}`;
+            link.classList.toggle('active', current);
+            if (current) link.setAttribute('aria-current', 'location');
+            else link.removeAttribute('aria-current');
+        });
+    });
+}
+
+// Any element can opt in to a reveal animation with attributes:
+//   data-reveal="fade|slide-up|scale|flip"  the animation, defined in style.css
+//   data-reveal-stagger="100"               ms between elements that come into view together
+//   data-reveal-threshold="0.5"             fraction that must be visible (default 0.1)
+//   data-reveal-repeat                      hide again when scrolled out, instead of revealing once
+const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+const REVEAL_DEFAULT_THRESHOLD = 0.1;
+
+export function setupRevealAnimations(root) {
+    const reducedMotion = window.matchMedia(REDUCED_MOTION_QUERY);
+    // IntersectionObserver thresholds are per observer, so there is one for each threshold in use
+    const observers = new Map();
+
+    const onIntersect = (entries, observer) => {
+        let revealed = 0;
+        entries.forEach(({ target, isIntersecting }) => {
+            const repeat = 'revealRepeat' in target.dataset;
+            if (isIntersecting) {
+                target.style.transitionDelay = `${revealed++ * (Number(target.dataset.revealStagger) || 0)}ms`;
+                target.classList.add('is-visible');
+                if (!repeat) observer.unobserve(target);
+            } else if (repeat) {
+                target.style.transitionDelay = '0ms';
+                target.classList.remove('is-visible');
+            }
+        });
+    };
+
+    const observe = (element) => {
+        if (reducedMotion.matches) {
+            element.classList.add('is-visible');
+            return;
+        }
+        const threshold = Number(element.dataset.revealThreshold ?? REVEAL_DEFAULT_THRESHOLD);
+        if (!observers.has(threshold)) observers.set(threshold, new IntersectionObserver(onIntersect, { threshold }));
+        observers.get(threshold).observe(element);
+    };
+    const revealTargets = (node) => [
+        ...(node.nodeType === Node.ELEMENT_NODE && node.matches('[data-reveal]') ? [node] : []),
+        ...node.querySelectorAll('[data-reveal]')
+    ];
+
+    revealTargets(root).forEach(observe);
+    // populateData() and friends replace markup wholesale; follow what they remove and add
+    new MutationObserver(mutations => mutations.forEach(({ addedNodes, removedNodes }) => {
+        removedNodes.forEach(node => {
+            if (node.nodeType !== Node.ELEMENT_NODE) return;
+            revealTargets(node).forEach(element => observers.forEach(observer => observer.unobserve(element)));
+        });
+        addedNodes.forEach(node => {
+            if (node.nodeType === Node.ELEMENT_NODE) revealTargets(node).forEach(observe);
+        });
+    })).observe(root, { childList: true, subtree: true });
+
+    reducedMotion.addEventListener('change', () => {
+        if (!reducedMotion.matches) return;
+        observers.forEach(observer => observer.disconnect());
+        observers.clear();
+        revealTargets(root).forEach(observe);
+    });
+}
@@ -0,0 +1,194 @@
+// Search strategies and the incremental grid search the pathfinding background animates.
+
+// Binary min-heap used as the frontier for the priority-based search strategies
+class MinHeap {
+    constructor() {
+        this.items = [];
+    }
+
+    get length() {
+        return this.items.length;
+    }
+
+    push(item, priority) {
+        this.items.push({ item, priority });
+        let i = this.items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (this.items[parent].priority <= this.items[i].priority) break;
+            [this.items[parent], this.items[i]] = [this.items[i], this.items[parent]];
+            i = parent;
+        }
+    }
+
+    pop() {
+        if (this.items.length === 0) return undefined;
+        const top = this.items[0];
+        const last = this.items.pop();
+        if (this.items.length > 0) {
+            this.items[0] = last;
+            let i = 0;
+            while (true) {
+                const left = i * 2 + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < this.items.length && this.items[left].priority < this.items[smallest].priority) smallest = left;
+                if (right < this.items.length && this.items[right].priority < this.items[smallest].priority) smallest = right;
+                if (smallest === i) break;
+                [this.items[smallest], this.items[i]] = [this.items[i], this.items[smallest]];
+                i = smallest;
+            }
+        }
+        return top.item;
+    }
+}
+
+// Frontier adapters so every strategy exposes the same push/pop/length contract
+class QueueFrontier {
+    constructor() { this.items = []; this.head = 0; }
+    get length() { return this.items.length - this.head; }
+    push(item) { this.items.push(item); }
+    pop() { return this.head < this.items.length ? this.items[this.head++] : undefined; }
+}
+
+class StackFrontier {
+    constructor() { this.items = []; }
+    get length() { return this.items.length; }
+    push(item) { this.items.push(item); }
+    pop() { return this.items.pop(); }
+}
+
+const manhattan = (a, b) => Math.abs(a.x - b.x) + Math.abs(a.y - b.y);
+
+// Each strategy decides how the frontier is ordered and whether a cheaper route to an
+// already-seen cell may replace its parent. GridSearch owns visited/parentMap/costs.
+export const SEARCH_STRATEGIES = {
+    bfs: {
+        createFrontier: () => new QueueFrontier(),
+        priority: () => 0,
+        relax: false,
+        weighted: false
+    },
+    dfs: {
+        createFrontier: () => new StackFrontier(),
+        priority: () => 0,
+        relax: false,
+        weighted: false
+    },
+    dijkstra: {
+        createFrontier: () => new MinHeap(),
+        priority: (cost) => cost,
+        relax: true,
+        weighted: true
+    },
+    astar: {
+        createFrontier: () => new MinHeap(),
+        priority: (cost, cell, end) => cost + manhattan(cell, end),
+        relax: true,
+        weighted: true
+    },
+    greedy: {
+        createFrontier: () => new MinHeap(),
+        priority: (cost, cell, end) => manhattan(cell, end),
+        relax: false,
+        weighted: false
+    }
+};
+
+export const WALL = 1;
+export const WEIGHT = 2;
+
+// One search over grid[x][y] (0, WALL or WEIGHT) from start to end, advanced a cell at a time by step()
+// so it can be animated. Rows above topRow are off limits. Bookkeeping is indexed by index(x, y):
+// visited flags, parent indices (-1 for none) and best known costs.
+export class GridSearch {
+    constructor({ grid, start, end, strategy, topRow = 0, weightCost = 1 }) {
+        this.grid = grid;
+        this.cols = grid.length;
+        this.rows = grid.length ? grid[0].length : 0;
+        this.start = start;
+        this.end = end;
+        this.strategy = strategy;
+        this.topRow = topRow;
+        this.weightCost = weightCost;
+        const size = this.cols * this.rows;
+        this.frontier = strategy.createFrontier();
+        this.visited = new Uint8Array(size);
+        this.parentMap = new Int32Array(size).fill(-1);
+        this.costs = new Float64Array(size).fill(Infinity);
+        this.path = [];
+        this.newlyVisited = []; // Cells visited since the owner last took them, for incremental drawing
+        this.status = 'searching';
+        if (!start || !end) return; // Nothing to search; the first step() reports 'done'
+
+        const startIndex = this.index(start.x, start.y);
+        this.markVisited(startIndex);
+        this.costs[startIndex] = 0;
+        this.frontier.push(start, strategy.priority(0, start, end));
+    }
+
+    index(x, y) {
+        return y * this.cols + x;
+    }
+
+    cellAt(index) {
+        return { x: index % this.cols, y: Math.floor(index / this.cols) };
+    }
+
+    markVisited(index) {
+        this.visited[index] = 1;
+        this.newlyVisited.push(index);
+    }
+
+    cellCost(cell) {
+        return this.strategy.weighted && this.grid[cell.x][cell.y] === WEIGHT ? this.weightCost : 1;
+    }
+
+    // Expands one cell of the frontier and returns the status: 'searching' while there is more to do,
+    // then 'pathfound' (with path filled in, start to end) or 'done' when the end can't be reached
+    step() {
+        if (this.status !== 'searching') return this.status;
+        let current;
+        do {
+            if (this.frontier.length === 0) {
+                this.status = 'done';
+                return this.status;
+            }
+            current = this.frontier.pop();
+            // Relaxing strategies may leave stale frontier entries behind; skip them
+        } while (current.cost !== undefined && current.cost > this.costs[this.index(current.x, current.y)]);
+
+        const currentIndex = this.index(current.x, current.y);
+        if (current.x === this.end.x && current.y === this.end.y) {
+            this.status = 'pathfound';
+            for (let i = currentIndex; i !== -1; i = this.parentMap[i]) {
+                this.path.unshift(this.cellAt(i));
+            }
+            return this.status;
+        }
+
+        const neighbors = [
+            { x: current.x + 1, y: current.y }, { x: current.x - 1, y: current.y },
+            { x: current.x, y: current.y + 1 }, { x: current.x, y: current.y - 1 }
+        ];
+
+        const currentCost = this.costs[currentIndex];
+
+        for (const neighbor of neighbors) {
+            if (neighbor.x < 0 || neighbor.x >= this.cols ||
+                neighbor.y < this.topRow || neighbor.y >= this.rows ||
+                this.grid[neighbor.x][neighbor.y] === WALL) continue;
+
+            const index = this.index(neighbor.x, neighbor.y);
+            const cost = currentCost + this.cellCost(neighbor);
+            if (this.visited[index] && !(this.strategy.relax && cost < this.costs[index])) continue;
+
+            if (!this.visited[index]) this.markVisited(index);
+            this.parentMap[index] = currentIndex;
+            this.costs[index] = cost;
+            if (this.strategy.relax) neighbor.cost = cost;
+            this.frontier.push(neighbor, this.strategy.priority(cost, neighbor, this.end));
+        }
+        return this.status;
+    }
+}
@@ -0,0 +1,147 @@
+// Behaviour for the rendered sections: project filters and detail modal, resume filters and the CV view.
+
+import { projectSlug } from './content.js';
+import { currentContent, projectDetailTemplate, render } from './render.js';
+
+export function setupProjectFilters(root) {
+    const filterBar = root.querySelector('#projects-filter');
+    const grid = root.querySelector('#projects-grid');
+    const emptyMessage = root.querySelector('#projects-empty');
+    const filters = { tech: '', query: '' };
+    const hideTimers = new WeakMap();
+
+    const applyFilters = () => {
+        const query = filters.query.trim().toLowerCase();
+        let shown = 0;
+        currentContent.projects.forEach(project => {
+            const card = grid.querySelector(`.project-card[data-slug="${CSS.escape(projectSlug(project))}"]`);
+            if (!card) return;
+            const matches = (!filters.tech || project.stack.includes(filters.tech)) &&
+                (!query || `${project.title} ${project.description}`.toLowerCase().includes(query));
+            clearTimeout(hideTimers.get(card));
+            if (matches) {
+                // Reuse the card's data-reveal transition
+                card.style.transitionDelay = `${shown++ * 100}ms`;
+                card.hidden = false;
+                requestAnimationFrame(() => card.classList.add('is-visible'));
+            } else {
+                card.style.transitionDelay = '0ms';
+                card.classList.remove('is-visible');
+                hideTimers.set(card, setTimeout(() => { card.hidden = true; }, 500));
+            }
+        });
+        emptyMessage.hidden = shown > 0;
+    };
+
+    const setTech = (tech) => {
+        filters.tech = tech;
+        filterBar.querySelectorAll('.filter-chip').forEach(chip => {
+            const active = chip.dataset.tech === tech;
+            chip.classList.toggle('active', active);
+            chip.setAttribute('aria-pressed', String(active));
+        });
+        applyFilters();
+    };
+
+    filterBar.addEventListener('click', (e) => {
+        const chip = e.target.closest('.filter-chip');
+        if (chip) setTech(chip.dataset.tech);
+    });
+    filterBar.addEventListener('input', (e) => {
+        if (!e.target.matches('.project-search')) return;
+        filters.query = e.target.value;
+        applyFilters();
+    });
+    // Stack tags on the cards and in the detail modal filter the grid by that technology
+    root.addEventListener('click', (e) => {
+        const tag = e.target.closest('.stack-tag');
+        if (!tag) return;
+        if (tag.closest('#project-modal')) root.querySelector('#project-modal').close();
+        setTech(tag.dataset.tech);
+        root.querySelector('#projects').scrollIntoView();
+    });
+}
+
+export function setupProjectModal(root) {
+    const modal = root.querySelector('#project-modal');
+    const content = root.querySelector('#project-modal-content');
+    const routePattern = /^#projects\/([a-z0-9-]+)$/;
+    let returnFocus = null;
+
+    const openFromHash = () => {
+        const match = window.location.hash.match(routePattern);
+        const project = match && currentContent.projects.find(item => projectSlug(item) === match[1]);
+        if (!project) {
+            if (modal.open) modal.close();
+            return;
+        }
+        render(content, projectDetailTemplate(project));
+        if (!modal.open) {
+            returnFocus = document.activeElement;
+            root.querySelector('#projects').scrollIntoView();
+            modal.showModal();
+        }
+        content.querySelector('.project-modal-close').focus();
+    };
+
+    modal.addEventListener('click', (e) => {
+        // Clicks on the backdrop land on the dialog element itself
+        if (e.target === modal || e.target.closest('.project-modal-close')) modal.close();
+    });
+    modal.addEventListener('close', () => {
+        if (routePattern.test(window.location.hash)) {
+            history.replaceState(null, '', '#projects');
+        }
+        if (returnFocus) returnFocus.focus();
+        returnFocus = null;
+    });
+    window.addEventListener('hashchange', openFromHash);
+    openFromHash(); // Deep links such as #projects/codehint-assistant
+}
+
+export function setupResumeFilters(root) {
+    const filterBar = root.querySelector('#resume-filter');
+    const timeline = root.querySelector('#resume-timeline');
+    filterBar.addEventListener('click', (e) => {
+        const chip = e.target.closest('.filter-chip');
+        if (!chip) return;
+        filterBar.querySelectorAll('.filter-chip').forEach(other => {
+            const active = other === chip;
+            other.classList.toggle('active', active);
+            other.setAttribute('aria-pressed', String(active));
+        });
+        timeline.querySelectorAll('.timeline-item').forEach(item => {
+            item.hidden = Boolean(chip.dataset.kind) && item.dataset.kind !== chip.dataset.kind;
+        });
+    });
+}
+
+// #cv opens the generated CV; printing the page (from there or anywhere) prints only the CV
+export function setupCvView(root) {
+    const view = root.querySelector('#cv-view');
+    let returnFocus = null;
+
+    const openFromHash = () => {
+        if (window.location.hash !== '#cv') {
+            if (view.open) view.close();
+            return;
+        }
+        if (!view.open) {
+            returnFocus = document.activeElement;
+            view.showModal();
+        }
+    };
+
+    view.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-action]');
+        if (e.target === view || (button && button.dataset.action === 'close')) view.close();
+        else if (button && button.dataset.action === 'print') window.print();
+    });
+    view.addEventListener('close', () => {
+        if (window.location.hash === '#cv') history.replaceState(null, '', '#resume');
+        if (returnFocus) returnFocus.focus();
+        returnFocus = null;
+    });
+    window.addEventListener('hashchange', openFromHash);
+    openFromHash();
+}
@@ -0,0 +1,110 @@
+// GitHub repository and LeetCode stats widgets, cached in localStorage so the APIs are asked rarely.
+
+import { fetchJson, parseLeetcodeUser } from './content.js';
+import { currentLanguage, t } from './i18n.js';
+import { html, render } from './render.js';
+
+const STATS_CACHE_KEY = 'statsCache';
+
+async function fetchRepoStats(repo) {
+    const [details, languages] = await Promise.all([
+        fetchJson(`https://api.github.com/repos/${repo}`),
+        fetchJson(`https://api.github.com/repos/${repo}/languages`)
+    ]);
+    if (!Number.isFinite(details.stargazers_count) || Number.isNaN(Date.parse(details.pushed_at))) {
+        throw new Error(`Unexpected GitHub stats for ${repo}`);
+    }
+    const total = Object.values(languages).reduce((sum, bytes) => sum + bytes, 0);
+    return {
+        stars: details.stargazers_count,
+        pushedAt: details.pushed_at,
+        languages: Object.entries(languages)
+            .sort(([, a], [, b]) => b - a)
+            .slice(0, 3)
+            .map(([name, bytes]) => ({ name, share: bytes / total }))
+    };
+}
+
+async function fetchLeetcodeStats(username, endpoint) {
+    const data = await fetchJson(endpoint.replace('{username}', encodeURIComponent(username)));
+    const stats = { solved: data.solvedProblem, easy: data.easySolved, medium: data.mediumSolved, hard: data.hardSolved };
+    // The community API answers some failures with a 200 and an error message
+    if (!Object.values(stats).every(Number.isFinite)) throw new Error(`Unexpected LeetCode stats for ${username}`);
+    return stats;
+}
+
+function readStatsCache() {
+    try {
+        return JSON.parse(localStorage.getItem(STATS_CACHE_KEY)) || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+// Serves cached stats while they are fresh. When offline, rate-limited or the request fails, the last cached
+// value is used however old it is; with nothing cached the promise rejects and the widget stays hidden.
+async function cachedStats(key, ttlMinutes, load) {
+    const entry = readStatsCache()[key];
+    const fresh = entry && Date.now() - entry.fetchedAt < ttlMinutes * 60 * 1000;
+    if (fresh || (entry && !navigator.onLine)) return { ...entry, stale: !fresh };
+    try {
+        const updated = { data: await load(), fetchedAt: Date.now() };
+        localStorage.setItem(STATS_CACHE_KEY, JSON.stringify({ ...readStatsCache(), [key]: updated }));
+        return { ...updated, stale: false };
+    } catch (error) {
+        if (entry) return { ...entry, stale: true };
+        throw error;
+    }
+}
+
+function formatRelativeTime(timestamp) {
+    const seconds = (new Date(timestamp).getTime() - Date.now()) / 1000;
+    const units = [['year', 31536000], ['month', 2592000], ['week', 604800], ['day', 86400], ['hour', 3600], ['minute', 60]];
+    const [unit, size] = units.find(([, length]) => Math.abs(seconds) >= length) || ['second', 1];
+    return new Intl.RelativeTimeFormat(currentLanguage, { numeric: 'auto' }).format(Math.round(seconds / size), unit);
+}
+
+function staleNoteTemplate({ stale, fetchedAt }) {
+    return stale ? html`<span class="stats-stale">${t('stats.asOf', { time: formatRelativeTime(fetchedAt) })}</span>` : '';
+}
+
+function repoStatsTemplate(result) {
+    const { stars, pushedAt, languages } = result.data;
+    const percent = new Intl.NumberFormat(currentLanguage, { style: 'percent' });
+    return html`<span><i class="fa-solid fa-star"></i> ${t('stats.stars', { count: stars })}</span><span><i class="fa-solid fa-code-commit"></i> ${t('stats.pushed', { time: formatRelativeTime(pushedAt) })}</span>${languages.length ? html`<span>${languages.map(language => `${language.name} ${percent.format(language.share)}`).join(' · ')}</span>` : ''}${staleNoteTemplate(result)}`;
+}
+
+function leetcodeStatsTemplate(result) {
+    const { solved } = result.data;
+    return html`<h3>${t('stats.leetcode')}</h3><p class="leetcode-total">${t('stats.solved', { count: solved })} ${staleNoteTemplate(result)}</p><div class="leetcode-breakdown">${['easy', 'medium', 'hard'].map(level => html`<div class="leetcode-level leetcode-${level}"><span>${t(`stats.${level}`)}</span><span>${result.data[level]}</span><div class="leetcode-bar"><span style="width: ${solved ? Math.round(result.data[level] / solved * 100) : 0}%"></span></div></div>`)}</div>`;
+}
+
+// settings is config.stats; the LeetCode username comes from the content's LeetCode profile link
+export function setupStatsWidgets(root, settings, content) {
+    if (!settings.enabled) return;
+    const shown = new Map(); // element -> [template, result], re-rendered when the language changes
+    const show = (element, template) => (result) => {
+        shown.set(element, [template, result]);
+        render(element, template(result));
+        element.hidden = false;
+    };
+
+    root.querySelectorAll('.project-stats[data-repo]').forEach(element => {
+        const repo = element.dataset.repo;
+        cachedStats(`github:${repo}`, settings.ttlMinutes, () => fetchRepoStats(repo))
+            .then(show(element, repoStatsTemplate))
+            .catch(error => console.warn(`GitHub stats for ${repo} are unavailable.\n`, error));
+    });
+
+    const leetcodeWidget = root.querySelector('#leetcode-stats');
+    const username = parseLeetcodeUser(content.socials.leetcode);
+    if (leetcodeWidget && username) {
+        cachedStats(`leetcode:${username}`, settings.ttlMinutes, () => fetchLeetcodeStats(username, settings.leetcodeEndpoint))
+            .then(show(leetcodeWidget, leetcodeStatsTemplate))
+            .catch(error => console.warn(`LeetCode stats for ${username} are unavailable.\n`, error));
+    }
+
+    document.addEventListener('language:change', () => {
+        shown.forEach(([template, result], element) => render(element, template(result)));
+    });
+}
@@ -0,0 +1,316 @@
+// Color palettes (built-in and custom), dark/light/system modes, and the controls that switch them.
+
+import { t } from './i18n.js';
+
+export const DEFAULT_PALETTE = 'amber';
+
+export const THEMES = {
+    amber: {
+        displayName: 'Amber',
+        swatchColor: '#f59e0b',
+        dark: { bg: '#18181b', primary: '#27272a', secondary: '#3f3f46', text: '#f4f4f5', accent: '#f59e0b', hover: '#d97706' },
+        light: { bg: '#f4f4f5', primary: '#ffffff', secondary: '#e4e4e7', text: '#18181b', accent: '#f59e0b', hover: '#d97706' }
+    },
+    forest: {
+        displayName: 'Forest',
+        swatchColor: '#34d399',
+        dark: { bg: '#1a2a27', primary: '#243b35', secondary: '#3e5e55', text: '#e8f1ee', accent: '#34d399', hover: '#059669' },
+        light: { bg: '#f0fdf4', primary: '#ffffff', secondary: '#dcfce7', text: '#14532d', accent: '#34d399', hover: '#059669' }
+    },
+    sky: {
+        displayName: 'Sky',
+        swatchColor: '#38bdf8',
+        dark: { bg: '#0c1d3e', primary: '#1a2c4a', secondary: '#2a446b', text: '#e0e8f6', accent: '#38bdf8', hover: '#0284c7' },
+        light: { bg: '#f0f9ff', primary: '#ffffff', secondary: '#e0f2fe', text: '#075985', accent: '#38bdf8', hover: '#0284c7' }
+    },
+    rose: {
+        displayName: 'Rose',
+        swatchColor: '#f43f5e',
+        dark: { bg: '#3a1928', primary: '#532135', secondary: '#7e324f', text: '#f9e8ee', accent: '#f43f5e', hover: '#be123c' },
+        light: { bg: '#fff1f2', primary: '#ffffff', secondary: '#ffe4e6', text: '#881337', accent: '#f43f5e', hover: '#be123c' }
+    }
+};
+
+
+const THEME_MODES = {
+    dark: { icon: 'fa-moon', next: 'light' },
+    light: { icon: 'fa-sun', next: 'system' },
+    system: { icon: 'fa-circle-half-stroke', next: 'dark' }
+};
+
+const LIGHT_SCHEME_QUERY = '(prefers-color-scheme: light)';
+
+function hexToRgb(hex) {
+    const digits = hex.replace('#', '');
+    const full = digits.length === 3 ? digits.replace(/./g, '$&$&') : digits;
+    return [0, 2, 4].map(i => parseInt(full.slice(i, i + 2), 16));
+}
+
+function rgbToHsl([r, g, b]) {
+    [r, g, b] = [r / 255, g / 255, b / 255];
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    const l = (max + min) / 2;
+    if (max === min) return { h: 0, s: 0, l: l * 100 };
+    const d = max - min;
+    const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+    const h = max === r ? (g - b) / d + (g < b ? 6 : 0) : max === g ? (b - r) / d + 2 : (r - g) / d + 4;
+    return { h: h * 60, s: s * 100, l: l * 100 };
+}
+
+function hslToHex({ h, s, l }) {
+    s /= 100;
+    l /= 100;
+    const a = s * Math.min(l, 1 - l);
+    const channel = (n) => {
+        const k = (n + h / 30) % 12;
+        const value = l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+        return Math.round(value * 255).toString(16).padStart(2, '0');
+    };
+    return `#${channel(0)}${channel(8)}${channel(4)}`;
+}
+
+// WCAG 2.x relative luminance and contrast ratio
+function relativeLuminance(hex) {
+    const [r, g, b] = hexToRgb(hex).map(value => {
+        const c = value / 255;
+        return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+    });
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+}
+
+function contrastRatio(a, b) {
+    const [lighter, darker] = [relativeLuminance(a), relativeLuminance(b)].sort((x, y) => y - x);
+    return (lighter + 0.05) / (darker + 0.05);
+}
+
+// Moves a color's lightness away from the background until it reaches the required contrast
+function ensureContrast(color, background, minimum) {
+    const hsl = rgbToHsl(hexToRgb(color));
+    const direction = relativeLuminance(background) < 0.5 ? 1 : -1;
+    let result = color;
+    while (contrastRatio(result, background) < minimum && hsl.l > 0 && hsl.l < 100) {
+        hsl.l = Math.max(0, Math.min(100, hsl.l + direction * 2));
+        result = hslToHex(hsl);
+    }
+    return result;
+}
+
+// Derives a full THEMES entry from a single accent color. Text must reach WCAG AA for body copy (4.5:1)
+// and the accent the 3:1 required for UI components, against that mode's background.
+export function createCustomTheme(accent) {
+    const { h, s, l } = rgbToHsl(hexToRgb(accent));
+    const tint = Math.min(s, 30);
+    const build = (base) => {
+        const modeAccent = ensureContrast(accent, base.bg, 3);
+        const accentHsl = rgbToHsl(hexToRgb(modeAccent));
+        return {
+            ...base,
+            text: ensureContrast(base.text, base.bg, 4.5),
+            accent: modeAccent,
+            hover: hslToHex({ ...accentHsl, l: Math.max(0, accentHsl.l - 12) })
+        };
+    };
+    return {
+        displayName: 'Custom',
+        swatchColor: accent,
+        dark: build({
+            bg: hslToHex({ h, s: tint, l: 9 }),
+            primary: hslToHex({ h, s: tint, l: 14 }),
+            secondary: hslToHex({ h, s: tint, l: 24 }),
+            text: hslToHex({ h, s: tint, l: 95 })
+        }),
+        light: build({
+            bg: hslToHex({ h, s: Math.min(s, 60), l: 97 }),
+            primary: '#ffffff',
+            secondary: hslToHex({ h, s: Math.min(s, 60), l: 90 }),
+            text: hslToHex({ h, s: Math.min(s, 60), l: Math.min(l, 20) })
+        })
+    };
+}
+
+export function loadCustomTheme() {
+    const accent = localStorage.getItem('customAccent');
+    if (accent && /^#[0-9a-f]{6}$/i.test(accent)) THEMES.custom = createCustomTheme(accent);
+}
+
+function getThemeMode() {
+    const mode = localStorage.getItem('themeMode');
+    return THEME_MODES[mode] ? mode : 'system';
+}
+
+function resolveThemeMode(mode) {
+    if (mode !== 'system') return mode;
+    return window.matchMedia(LIGHT_SCHEME_QUERY).matches ? 'light' : 'dark';
+}
+
+// Palette keys map to --<key>-color, except hover which style.css reads as --accent-hover-color
+export function toCssVariables(palette) {
+    return Object.fromEntries(Object.entries(palette).map(([key, value]) => {
+        const name = key === 'hover' ? 'accent-hover' : key.replace(/([A-Z])/g, '-$1').toLowerCase();
+        return [`--${name}-color`, value];
+    }));
+}
+
+// The CSS variables and color scheme go on the document; root only scopes the controls that reflect them
+export function applyTheme(root = document) {
+    let paletteName = localStorage.getItem('colorPalette') || DEFAULT_PALETTE;
+    if (!THEMES[paletteName]) paletteName = DEFAULT_PALETTE;
+    const mode = getThemeMode();
+    const resolvedMode = resolveThemeMode(mode);
+    const theme = THEMES[paletteName];
+    const { style } = document.documentElement;
+    Object.entries(toCssVariables(theme[resolvedMode])).forEach(([cssVar, value]) => style.setProperty(cssVar, value));
+    style.colorScheme = resolvedMode;
+    // Colors the browser UI, and the title bar when installed as an app
+    document.querySelector('meta[name="theme-color"]').setAttribute('content', theme[resolvedMode].accent);
+    // Read by the inline script in index.html to paint the right colors before this file loads
+    localStorage.setItem('themeCache', JSON.stringify({ mode, dark: toCssVariables(theme.dark), light: toCssVariables(theme.light) }));
+
+    const themeIcon = root.querySelector('#theme-icon');
+    Object.values(THEME_MODES).forEach(({ icon }) => themeIcon.classList.remove(icon));
+    themeIcon.classList.add(THEME_MODES[mode].icon);
+    labelThemeToggle(root, mode);
+
+    document.dispatchEvent(new CustomEvent('theme:change', {
+        detail: { palette: paletteName, mode, resolvedMode, colors: { ...theme[resolvedMode] } }
+    }));
+}
+
+function labelThemeToggle(root, mode) {
+    root.querySelector('.theme-toggle').setAttribute('aria-label',
+        t('theme.toggle', { mode: t(`theme.${mode}`), next: t(`theme.${THEME_MODES[mode].next}`) }));
+}
+
+// Reads a message out through the visually hidden live region in index.html
+function announce(root, message) {
+    const announcer = root.querySelector('#announcer');
+    // Clearing first makes a repeated message count as a change
+    announcer.textContent = '';
+    requestAnimationFrame(() => { announcer.textContent = message; });
+}
+
+export function setupThemeToggle(root) {
+    const themeToggleButton = root.querySelector('.theme-toggle');
+    themeToggleButton.addEventListener('click', () => {
+        localStorage.setItem('themeMode', THEME_MODES[getThemeMode()].next);
+        applyTheme(root);
+    });
+    // Follow OS-level changes live while in system mode
+    window.matchMedia(LIGHT_SCHEME_QUERY).addEventListener('change', () => {
+        if (getThemeMode() === 'system') applyTheme(root);
+    });
+    document.addEventListener('language:change', () => labelThemeToggle(root, getThemeMode()));
+    // Registered after the initial applyTheme() so only actual changes are announced
+    document.addEventListener('theme:change', ({ detail }) => {
+        announce(root, t('theme.changed', { mode: t(`theme.${detail.mode}`), palette: THEMES[detail.palette].displayName }));
+    });
+}
+
+export function setupColorPalette(root) {
+    const paletteToggle = root.querySelector('.palette-toggle');
+    const paletteOptions = root.querySelector('#palette-options');
+    // The swatch buttons and the custom color input, in arrow-key order
+    const focusables = () => [...paletteOptions.querySelectorAll('button.palette-option, input[type="color"]')];
+
+    const isOpen = () => paletteOptions.classList.contains('active');
+    const open = () => {
+        paletteOptions.classList.add('active');
+        paletteToggle.setAttribute('aria-expanded', 'true');
+        const items = focusables();
+        (items.find(item => item.getAttribute('aria-pressed') === 'true') || items[0]).focus();
+    };
+    const close = ({ returnFocus = false } = {}) => {
+        if (!isOpen()) return;
+        paletteOptions.classList.remove('active');
+        paletteToggle.setAttribute('aria-expanded', 'false');
+        if (returnFocus) paletteToggle.focus();
+    };
+
+    Object.keys(THEMES).filter(name => name !== 'custom').forEach(name => {
+        const theme = THEMES[name];
+        const swatch = document.createElement('button');
+        swatch.type = 'button';
+        swatch.classList.add('palette-option');
+        swatch.style.backgroundColor = theme.swatchColor;
+        swatch.dataset.paletteName = name;
+        swatch.dataset.i18nAriaLabel = `palette.${name}`;
+        swatch.setAttribute('aria-label', t(`palette.${name}`));
+        paletteOptions.appendChild(swatch);
+        swatch.addEventListener('click', (e) => {
+            localStorage.setItem('colorPalette', e.currentTarget.dataset.paletteName);
+            applyTheme(root);
+            close({ returnFocus: true });
+        });
+    });
+
+    const customSwatch = document.createElement('label');
+    customSwatch.classList.add('palette-option', 'palette-custom');
+    customSwatch.dataset.i18nTitle = 'palette.custom';
+    customSwatch.title = t('palette.custom');
+    const colorInput = document.createElement('input');
+    colorInput.type = 'color';
+    colorInput.value = localStorage.getItem('customAccent') || THEMES.amber.swatchColor;
+    colorInput.dataset.i18nAriaLabel = 'palette.custom';
+    colorInput.setAttribute('aria-label', t('palette.custom'));
+    customSwatch.style.backgroundColor = colorInput.value;
+    customSwatch.appendChild(colorInput);
+    paletteOptions.appendChild(customSwatch);
+    colorInput.addEventListener('change', () => {
+        localStorage.setItem('customAccent', colorInput.value);
+        localStorage.setItem('colorPalette', 'custom');
+        THEMES.custom = createCustomTheme(colorInput.value);
+        customSwatch.style.backgroundColor = colorInput.value;
+        applyTheme(root);
+    });
+
+    const markSelected = (palette) => {
+        paletteOptions.querySelectorAll('button.palette-option').forEach(swatch => {
+            swatch.setAttribute('aria-pressed', String(swatch.dataset.paletteName === palette));
+        });
+        customSwatch.classList.toggle('selected', palette === 'custom');
+    };
+    markSelected(THEMES[localStorage.getItem('colorPalette')] ? localStorage.getItem('colorPalette') : DEFAULT_PALETTE);
+    document.addEventListener('theme:change', ({ detail }) => markSelected(detail.palette));
+
+    paletteToggle.setAttribute('aria-expanded', 'false');
+    paletteToggle.setAttribute('aria-controls', paletteOptions.id);
+    paletteToggle.addEventListener('click', (e) => {
+        e.stopPropagation();
+        if (isOpen()) close();
+        else open();
+    });
+    paletteToggle.addEventListener('keydown', (e) => {
+        if (e.key === 'ArrowDown' && !isOpen()) {
+            e.preventDefault();
+            open();
+        }
+    });
+    paletteOptions.addEventListener('keydown', (e) => {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            close({ returnFocus: true });
+            return;
+        }
+        const items = focusables();
+        const index = items.indexOf(document.activeElement);
+        // The swatches are laid out in a row, so left and right follow the writing direction
+        const forward = document.documentElement.dir === 'rtl' ? 'ArrowLeft' : 'ArrowRight';
+        const backward = forward === 'ArrowRight' ? 'ArrowLeft' : 'ArrowRight';
+        let next;
+        if (e.key === forward || e.key === 'ArrowDown') next = (index + 1) % items.length;
+        else if (e.key === backward || e.key === 'ArrowUp') next = (index - 1 + items.length) % items.length;
+        else if (e.key === 'Home') next = 0;
+        else if (e.key === 'End') next = items.length - 1;
+        else return;
+        e.preventDefault();
+        items[next].focus();
+    });
+    // Tabbing out of the open popover closes it rather than leaving it hanging over the page
+    paletteOptions.parentElement.addEventListener('focusout', (e) => {
+        if (!paletteOptions.parentElement.contains(e.relatedTarget)) close();
+    });
+    // Keep the popover open while the native color picker is in use
+    paletteOptions.addEventListener('click', (e) => e.stopPropagation());
+    document.addEventListener('click', () => close());
+}
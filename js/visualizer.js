@@ -0,0 +1,771 @@
+// The pathfinding background: a canvas that generates mazes and animates searches through them,
+// and that visitors can take over to draw walls and run the searches themselves.
+
+import { t } from './i18n.js';
+import { createRandom, MAZE_GENERATORS, newSeed } from './mazes.js';
+import { GridSearch, SEARCH_STRATEGIES, WALL, WEIGHT } from './search.js';
+
+// Canvas fill styles are parsed on every assignment, so theme colors are converted to rgba()
+// once per theme instead of building color-mix() strings per cell
+function withAlpha(color, alpha) {
+    const hex = color.match(/^#([0-9a-f]{3}|[0-9a-f]{6})$/i);
+    if (!hex) return `color-mix(in srgb, ${color}, transparent ${Math.round((1 - alpha) * 100)}%)`;
+    const digits = hex[1].length === 3 ? hex[1].replace(/./g, '$&$&') : hex[1];
+    const [r, g, b] = [0, 2, 4].map(i => parseInt(digits.slice(i, i + 2), 16));
+    return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+}
+
+// Cells never get smaller than this; shared grids that wouldn't fit the viewport at this size are ignored
+const MIN_CELL_SIZE = 4;
+
+// Shareable run state lives in the query string (the hash is reserved for section navigation),
+// e.g. ?seed=k3x9zq&algorithm=astar&maze=prim&grid=51x32x5 (columns x rows x first row)
+function readRunFromUrl(search) {
+    const params = new URLSearchParams(search);
+    const seed = parseInt(params.get('seed'), 36);
+    if (!Number.isFinite(seed)) return null;
+    const run = { seed: seed >>> 0 };
+    if (SEARCH_STRATEGIES[params.get('algorithm')]) run.algorithm = params.get('algorithm');
+    if (MAZE_GENERATORS[params.get('maze')]) run.maze = params.get('maze');
+    const grid = (params.get('grid') || '').match(/^(\d+)x(\d+)x(\d+)$/);
+    if (grid) {
+        const [cols, rows, topRow] = grid.slice(1).map(Number);
+        const fits = cols <= Math.floor(window.innerWidth / MIN_CELL_SIZE) && rows <= Math.floor(window.innerHeight / MIN_CELL_SIZE);
+        if (cols > 0 && rows > topRow && fits) Object.assign(run, { cols, rows, topRow });
+    }
+    return run;
+}
+
+function buildRunUrl(run, location) {
+    const url = new URL(location.href);
+    url.searchParams.set('seed', run.seed.toString(36));
+    url.searchParams.set('algorithm', run.algorithm);
+    url.searchParams.set('maze', run.maze);
+    url.searchParams.set('grid', `${run.cols}x${run.rows}x${run.topRow}`);
+    url.hash = '';
+    return url.toString();
+}
+
+class PathfindingVisualizer {
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        // Walls/weights and visited cells live on offscreen layers that are only repainted where they change
+        this.gridLayer = document.createElement('canvas');
+        this.gridCtx = this.gridLayer.getContext('2d');
+        this.visitedLayer = document.createElement('canvas');
+        this.visitedCtx = this.visitedLayer.getContext('2d');
+        this.colors = null; // Cached theme colors, cleared by invalidateColors()
+        this.animationFrameId = null;
+        this.baseCellSize = 25;
+        this.cellSize = this.baseCellSize;
+        this.headerFadeZone = 120; // The height (in pixels) of the fade-out area at the top
+        this.weightCost = 5; // Traversal cost of a weighted cell for strategies that honour weights
+        // Either a single key of the registry, 'rotate', or a list of keys to rotate through
+        this.algorithms = this.resolveRotation(options.algorithm || 'bfs', SEARCH_STRATEGIES, 'bfs');
+        this.algorithmIndex = -1;
+        this.mazes = this.resolveRotation(options.maze || 'scatter', MAZE_GENERATORS, 'scatter');
+        this.mazeIndex = -1;
+        this.generationDuration = 1500; // Roughly how long (ms) the maze generation phase lasts
+        this.pendingReplay = options.replay || null; // Run state from a shared link, used once
+        this.interactive = false;
+        this.autoRun = true; // When false, the search only advances through step()
+        this.restartTimer = null;
+        this.drag = null;
+        this.cursor = null; // Keyboard-controlled cell in interactive mode
+        this.edited = false; // Whether the visitor changed the grid since it was generated
+        this.hidden = document.hidden;
+        this.offscreen = false;
+        this.reducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)');
+
+        this.reset();
+        window.addEventListener('resize', () => {
+            clearTimeout(this.resizeTimer);
+            this.resizeTimer = setTimeout(() => this.handleResize(), 200);
+        });
+        document.addEventListener('visibilitychange', () => this.setPaused(document.hidden, this.offscreen));
+        new IntersectionObserver(entries => {
+            this.setPaused(this.hidden, !entries[entries.length - 1].isIntersecting);
+        }).observe(this.canvas);
+        // With reduced motion every run is settled instantly; switching back starts a fresh animated run
+        this.reducedMotion.addEventListener('change', () => this.reducedMotion.matches ? this.requestRender() : this.reset());
+        // Listen for theme changes to redraw with new colors
+        document.addEventListener('theme:change', () => this.invalidateColors());
+    }
+
+    resolveRotation(value, registry, fallback) {
+        const names = value === 'rotate' ? Object.keys(registry) : [].concat(value);
+        const valid = names.filter(name => registry[name]);
+        if (valid.length !== names.length) {
+            console.warn(`Unknown visualizer option in ${JSON.stringify(value)}, falling back to '${fallback}'.`);
+        }
+        return valid.length ? valid : [fallback];
+    }
+
+    reset() {
+        this.cancelRender();
+        clearTimeout(this.restartTimer);
+        const replay = this.pendingReplay || {};
+        this.pendingReplay = null;
+
+        this.algorithmIndex = (this.algorithmIndex + 1) % this.algorithms.length;
+        this.algorithm = replay.algorithm || this.algorithms[this.algorithmIndex];
+        this.strategy = SEARCH_STRATEGIES[this.algorithm];
+        this.mazeIndex = (this.mazeIndex + 1) % this.mazes.length;
+        this.maze = replay.maze || this.mazes[this.mazeIndex];
+        this.resizeCanvas();
+
+        if (replay.cols) {
+            // Reproduce the shared grid exactly, scaling cells so it fits this viewport
+            this.cols = replay.cols;
+            this.rows = replay.rows;
+            this.topRow = replay.topRow;
+            this.cellSize = Math.max(MIN_CELL_SIZE, Math.min(Math.floor(this.width / this.cols), Math.floor(this.height / this.rows)));
+        } else {
+            this.cellSize = this.baseCellSize;
+            this.cols = Math.floor(this.width / this.cellSize);
+            this.rows = Math.floor(this.height / this.cellSize);
+            this.topRow = Math.ceil(this.headerFadeZone / this.cellSize); // First row below the fade zone
+        }
+        this.searchSpeed = 15; // Adjusted speed
+
+        this.startGeneration(replay.seed);
+        this.requestRender();
+    }
+
+    // A fresh grid fits the new viewport, but the visitor's own grid is kept and only repainted
+    handleResize() {
+        if (!this.interactive) {
+            this.reset();
+            return;
+        }
+        this.resizeCanvas();
+        this.gridDirty = true;
+        this.visitedLayerStale = true;
+        this.requestRender();
+    }
+
+    // Sizes the visible canvas and its layers in device pixels while drawing in CSS pixels
+    resizeCanvas() {
+        const dpr = window.devicePixelRatio || 1;
+        this.width = window.innerWidth;
+        this.height = window.innerHeight;
+        [[this.canvas, this.ctx], [this.gridLayer, this.gridCtx], [this.visitedLayer, this.visitedCtx]].forEach(([canvas, ctx]) => {
+            canvas.width = Math.round(this.width * dpr);
+            canvas.height = Math.round(this.height * dpr);
+            ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        });
+    }
+
+    // Begins the animated maze generation phase; the search starts once it completes.
+    // Everything random from here on (maze, weights, endpoints) is drawn from the seed.
+    startGeneration(seed = newSeed()) {
+        this.seed = seed;
+        this.random = createRandom(seed);
+        this.grid = Array.from({ length: this.cols }, () => Array(this.rows).fill(0));
+        this.cursor = null;
+        this.start = null;
+        this.end = null;
+        this.generatedAlgorithm = null;
+        this.setEdited(false);
+        this.prepareSearch();
+        this.gridDirty = true;
+
+        this.generator = MAZE_GENERATORS[this.maze].generate(this);
+        // Generators yield roughly once per four cells, so size the per-frame batch from that
+        const cells = this.cols * Math.max(0, this.rows - this.topRow);
+        this.generationBatch = Math.max(1, Math.ceil(cells / 4 / (this.generationDuration / 16)));
+        this.state = 'generating';
+    }
+
+    generationStep() {
+        this.gridDirty = true;
+        for (let i = 0; i < this.generationBatch; i++) {
+            if (this.generator.next().done) {
+                this.finishGeneration();
+                return;
+            }
+        }
+    }
+
+    finishGeneration() {
+        this.generator = null;
+        this.gridDirty = true;
+        // Weights and endpoints depend on the strategy, so a replay needs this one rather than a later choice
+        this.generatedAlgorithm = this.algorithm;
+
+        // Scatter weighted cells for the strategies that take traversal cost into account
+        if (this.strategy.weighted) {
+            for (let i = 0; i < (this.cols * this.rows) * 0.1; i++) {
+                const x = this.randomInt(this.cols);
+                const y = this.randomInt(this.rows);
+                if (this.grid[x][y] === 0 && y >= this.topRow) {
+                    this.grid[x][y] = WEIGHT;
+                }
+            }
+        }
+
+        // Set start and end points
+        this.start = this.getRandomEmptyCell();
+        this.end = this.getRandomEmptyCell(this.start);
+        if (!this.start || !this.end) { // Grid is too full
+            this.start = this.end = null;
+            this.state = 'done';
+            this.scheduleRestart();
+            return;
+        }
+
+        this.grid[this.start.x][this.start.y] = 0;
+        this.grid[this.end.x][this.end.y] = 0;
+        this.ensureReachable();
+
+        this.prepareSearch();
+        this.state = this.interactive ? 'idle' : 'searching';
+    }
+
+    randomInt(n) {
+        return Math.floor(this.random() * n);
+    }
+
+    // What a shared link needs to regenerate this grid; the visitor's own edits can't be reproduced from it
+    getRunState() {
+        const { seed, maze, cols, rows, topRow } = this;
+        return { seed, algorithm: this.generatedAlgorithm || this.algorithm, maze, cols, rows, topRow };
+    }
+
+    setEdited(edited) {
+        if (this.edited === edited) return;
+        this.edited = edited;
+        this.canvas.dispatchEvent(new CustomEvent('visualizer:edited', { detail: { edited } }));
+    }
+
+    fillRegion(value) {
+        for (let x = 0; x < this.cols; x++) {
+            for (let y = this.topRow; y < this.rows; y++) this.grid[x][y] = value;
+        }
+    }
+
+    latticeBounds() {
+        // Largest even (relative to topRow) coordinates that still fit, used as the closing border
+        const maxX = (this.cols - 1) % 2 === 0 ? this.cols - 1 : this.cols - 2;
+        const height = this.rows - this.topRow;
+        const maxY = this.topRow + ((height - 1) % 2 === 0 ? height - 1 : height - 2);
+        return { maxX, maxY };
+    }
+
+    isLatticeCell(cell) {
+        const { maxX, maxY } = this.latticeBounds();
+        return cell.x > 0 && cell.x < maxX && cell.y > this.topRow && cell.y < maxY &&
+            cell.x % 2 === 1 && (cell.y - this.topRow) % 2 === 1;
+    }
+
+    latticeCells() {
+        const cells = [];
+        for (let x = 1; x < this.cols; x += 2) {
+            for (let y = this.topRow + 1; y < this.rows; y += 2) {
+                if (this.isLatticeCell({ x, y })) cells.push({ x, y });
+            }
+        }
+        return cells;
+    }
+
+    index(x, y) {
+        return y * this.cols + x;
+    }
+
+    cellAt(index) {
+        return { x: index % this.cols, y: Math.floor(index / this.cols) };
+    }
+
+    // Random scatter can wall the end off; carve an L-shaped corridor when that happens
+    ensureReachable() {
+        const seen = new Uint8Array(this.cols * this.rows);
+        seen[this.index(this.start.x, this.start.y)] = 1;
+        const queue = [this.start];
+        for (let i = 0; i < queue.length; i++) {
+            const { x, y } = queue[i];
+            if (x === this.end.x && y === this.end.y) return;
+            for (const [dx, dy] of [[1, 0], [-1, 0], [0, 1], [0, -1]]) {
+                const next = { x: x + dx, y: y + dy };
+                if (next.x < 0 || next.x >= this.cols || next.y < this.topRow || next.y >= this.rows ||
+                    this.grid[next.x][next.y] === WALL || seen[this.index(next.x, next.y)]) continue;
+                seen[this.index(next.x, next.y)] = 1;
+                queue.push(next);
+            }
+        }
+        const stepX = Math.sign(this.end.x - this.start.x);
+        for (let x = this.start.x; x !== this.end.x; x += stepX) {
+            if (this.grid[x][this.start.y] === WALL) this.grid[x][this.start.y] = 0;
+        }
+        const stepY = Math.sign(this.end.y - this.start.y);
+        for (let y = this.start.y; y !== this.end.y; y += stepY) {
+            if (this.grid[this.end.x][y] === WALL) this.grid[this.end.x][y] = 0;
+        }
+    }
+
+    // Discards the results of a previous search and starts a fresh one from the current start cell
+    prepareSearch() {
+        clearTimeout(this.restartTimer);
+        this.search = new GridSearch({
+            grid: this.grid,
+            start: this.start,
+            end: this.end,
+            strategy: this.strategy,
+            topRow: this.topRow,
+            weightCost: this.weightCost
+        });
+        this.visitedLayerStale = true;
+        this.lastUpdateTime = 0;
+        this.state = 'idle';
+    }
+
+    scheduleRestart() {
+        // Keep the visitor's grid in interactive mode, and leave reduced-motion runs static
+        if (this.interactive || this.reducedMotion.matches) return;
+        this.restartTimer = setTimeout(() => this.reset(), 4000);
+    }
+    
+    getRandomEmptyCell(exclude) {
+        let x, y, attempts = 0;
+        do {
+            x = this.randomInt(this.cols);
+            y = this.randomInt(this.rows);
+            if (attempts++ > 100) return null; // Prevent infinite loop
+        } while (this.grid[x][y] !== 0 || y < this.topRow || this.isSameCell({ x, y }, exclude));
+        return { x, y };
+    }
+
+    searchStep() {
+        const status = this.search.step();
+        if (status === 'searching') return;
+        this.state = status;
+        this.scheduleRestart(); // Restart after 4 seconds, found or not
+    }
+
+    invalidateColors() {
+        this.colors = null;
+        this.gridDirty = true;
+        this.visitedLayerStale = true;
+        this.requestRender();
+    }
+
+    getColors() {
+        if (!this.colors) {
+            const style = getComputedStyle(document.documentElement);
+            const bg = style.getPropertyValue('--bg-color').trim();
+            const accent = style.getPropertyValue('--accent-color').trim();
+            const secondary = style.getPropertyValue('--secondary-color').trim();
+            this.colors = {
+                bg,
+                accent,
+                wall: withAlpha(secondary, 0.5),
+                weight: withAlpha(secondary, 0.25),
+                visited: withAlpha(accent, 0.15),
+                fadeEnd: withAlpha(bg, 0)
+            };
+        }
+        return this.colors;
+    }
+
+    renderGridLayer(colors) {
+        const ctx = this.gridCtx;
+        ctx.clearRect(0, 0, this.width, this.height);
+        for (let x = 0; x < this.cols; x++) {
+            for (let y = this.topRow; y < this.rows; y++) {
+                const cell = this.grid[x][y];
+                if (cell === WALL) {
+                    ctx.fillStyle = colors.wall;
+                } else if (cell === WEIGHT && this.strategy.weighted) {
+                    ctx.fillStyle = colors.weight;
+                } else {
+                    continue;
+                }
+                ctx.fillRect(x * this.cellSize, y * this.cellSize, this.cellSize, this.cellSize);
+            }
+        }
+        this.gridDirty = false;
+    }
+
+    renderVisitedLayer(colors) {
+        const ctx = this.visitedCtx;
+        let cells = this.search.newlyVisited;
+        if (this.visitedLayerStale) {
+            ctx.clearRect(0, 0, this.width, this.height);
+            cells = [];
+            this.search.visited.forEach((flag, index) => flag && cells.push(index));
+            this.visitedLayerStale = false;
+        }
+        ctx.fillStyle = colors.visited;
+        for (const index of cells) {
+            const { x, y } = this.cellAt(index);
+            ctx.fillRect(x * this.cellSize, y * this.cellSize, this.cellSize - 1, this.cellSize - 1);
+        }
+        this.search.newlyVisited = [];
+    }
+
+    draw() {
+        const colors = this.getColors();
+        if (this.gridDirty) this.renderGridLayer(colors);
+        this.renderVisitedLayer(colors);
+
+        const ctx = this.ctx;
+        ctx.fillStyle = colors.bg;
+        ctx.fillRect(0, 0, this.width, this.height);
+        ctx.drawImage(this.gridLayer, 0, 0, this.width, this.height);
+        ctx.drawImage(this.visitedLayer, 0, 0, this.width, this.height);
+
+        if (this.state === 'pathfound') {
+            ctx.strokeStyle = colors.accent;
+            ctx.lineWidth = Math.max(2, this.cellSize / 5);
+            ctx.lineCap = 'round';
+            ctx.beginPath();
+            this.search.path.forEach((p, i) => {
+                const xPos = p.x * this.cellSize + this.cellSize / 2;
+                const yPos = p.y * this.cellSize + this.cellSize / 2;
+                if (i === 0) ctx.moveTo(xPos, yPos);
+                else ctx.lineTo(xPos, yPos);
+            });
+            ctx.stroke();
+        }
+
+        // Fade everything out under the header: solid background, then a gradient to transparent
+        const halfFade = this.headerFadeZone / 2;
+        const fade = ctx.createLinearGradient(0, halfFade, 0, this.headerFadeZone);
+        fade.addColorStop(0, colors.bg);
+        fade.addColorStop(1, colors.fadeEnd);
+        ctx.fillStyle = colors.bg;
+        ctx.fillRect(0, 0, this.width, halfFade);
+        ctx.fillStyle = fade;
+        ctx.fillRect(0, halfFade, this.width, halfFade);
+
+        ctx.fillStyle = colors.accent;
+        [this.start, this.end].filter(Boolean).forEach(point => {
+            ctx.beginPath();
+            ctx.arc(
+                point.x * this.cellSize + this.cellSize / 2,
+                point.y * this.cellSize + this.cellSize / 2,
+                this.cellSize / 3, 0, Math.PI * 2
+            );
+            ctx.fill();
+        });
+
+        if (this.interactive && this.cursor && document.activeElement === this.canvas) {
+            ctx.strokeStyle = colors.accent;
+            ctx.lineWidth = 2;
+            ctx.strokeRect(this.cursor.x * this.cellSize + 1, this.cursor.y * this.cellSize + 1, this.cellSize - 2, this.cellSize - 2);
+        }
+    }
+
+    // --- Interactive mode ---
+
+    setInteractive(enabled) {
+        this.interactive = enabled;
+        this.drag = null;
+        this.canvas.classList.toggle('interactive', enabled);
+        if (enabled) {
+            this.canvas.tabIndex = 0;
+            this.canvas.removeAttribute('aria-hidden');
+            this.canvas.setAttribute('role', 'application');
+            // Marked for translatePage(), so it follows language changes
+            this.canvas.dataset.i18nAriaLabel = 'visualizer.grid';
+            this.canvas.setAttribute('aria-label', t('visualizer.grid'));
+            clearTimeout(this.restartTimer);
+            // A maze still being generated will settle into the idle state on its own
+            if (this.state !== 'generating') this.prepareSearch();
+            this.bindInteraction();
+            this.requestRender();
+        } else {
+            this.canvas.removeAttribute('tabindex');
+            this.canvas.removeAttribute('role');
+            this.canvas.removeAttribute('aria-label');
+            delete this.canvas.dataset.i18nAriaLabel;
+            // Back to decoration: nothing in it for assistive technology
+            this.canvas.setAttribute('aria-hidden', 'true');
+            this.autoRun = true;
+            this.reset();
+        }
+    }
+
+    setAlgorithm(name) {
+        if (!SEARCH_STRATEGIES[name]) return;
+        this.algorithm = name;
+        this.strategy = SEARCH_STRATEGIES[name];
+        this.gridDirty = true; // Weighted cells are only shown for strategies that use them
+        if (this.state !== 'generating') this.prepareSearch();
+        this.requestRender();
+    }
+
+    // Regenerates the grid with the given maze generator, keeping the current algorithm
+    generate(mazeName) {
+        if (MAZE_GENERATORS[mazeName]) this.maze = mazeName;
+        this.autoRun = true;
+        this.startGeneration();
+        this.requestRender();
+    }
+
+    run() {
+        if (this.state === 'generating') return;
+        if (this.state !== 'idle') this.prepareSearch();
+        this.autoRun = true;
+        this.state = 'searching';
+        this.requestRender();
+    }
+
+    step() {
+        if (this.state === 'generating') return;
+        if (this.state === 'pathfound' || this.state === 'done') this.prepareSearch();
+        this.autoRun = false;
+        this.state = 'searching';
+        this.searchStep();
+        this.requestRender();
+    }
+
+    clearWalls() {
+        if (this.state === 'generating') return;
+        this.grid.forEach(column => column.fill(0));
+        this.setEdited(true);
+        this.gridDirty = true;
+        this.prepareSearch();
+        this.requestRender();
+    }
+
+    bindInteraction() {
+        if (this.interactionBound) return;
+        this.interactionBound = true;
+        this.canvas.addEventListener('pointerdown', (e) => this.onPointerDown(e));
+        this.canvas.addEventListener('pointermove', (e) => this.onPointerMove(e));
+        this.canvas.addEventListener('pointerup', () => { this.drag = null; });
+        this.canvas.addEventListener('pointercancel', () => { this.drag = null; });
+        this.canvas.addEventListener('keydown', (e) => this.onKeyDown(e));
+        // The keyboard cursor is only drawn while the canvas has focus
+        this.canvas.addEventListener('focus', () => this.requestRender());
+        this.canvas.addEventListener('blur', () => this.requestRender());
+    }
+
+    cellFromEvent(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        const x = Math.floor((e.clientX - rect.left) / this.cellSize);
+        const y = Math.floor((e.clientY - rect.top) / this.cellSize);
+        return this.isEditable({ x, y }) ? { x, y } : null;
+    }
+
+    isEditable(cell) {
+        return this.state !== 'generating' &&
+            cell.x >= 0 && cell.x < this.cols && cell.y >= this.topRow && cell.y < this.rows;
+    }
+
+    isSameCell(a, b) {
+        return a && b && a.x === b.x && a.y === b.y;
+    }
+
+    onPointerDown(e) {
+        if (!this.interactive) return;
+        const cell = this.cellFromEvent(e);
+        if (!cell) return;
+        e.preventDefault();
+        this.canvas.setPointerCapture(e.pointerId);
+        if (this.isSameCell(cell, this.start)) {
+            this.drag = { mode: 'start' };
+        } else if (this.isSameCell(cell, this.end)) {
+            this.drag = { mode: 'end' };
+        } else {
+            this.drag = { mode: this.grid[cell.x][cell.y] === WALL ? 'erase' : 'paint' };
+            this.applyDrag(cell);
+        }
+    }
+
+    onPointerMove(e) {
+        if (!this.interactive || !this.drag) return;
+        const cell = this.cellFromEvent(e);
+        if (cell) this.applyDrag(cell);
+    }
+
+    applyDrag(cell) {
+        const { mode } = this.drag;
+        if (mode === 'start' || mode === 'end') {
+            this.moveEndpoint(mode, cell);
+        } else {
+            this.setWall(cell, mode === 'paint');
+        }
+    }
+
+    moveEndpoint(which, cell) {
+        const other = which === 'start' ? this.end : this.start;
+        if (this.isSameCell(cell, other) || this.isSameCell(cell, this[which])) return;
+        this.grid[cell.x][cell.y] = 0;
+        this[which] = { x: cell.x, y: cell.y };
+        this.setEdited(true);
+        this.gridDirty = true;
+        this.prepareSearch();
+        this.requestRender();
+    }
+
+    setWall(cell, isWall) {
+        if (this.isSameCell(cell, this.start) || this.isSameCell(cell, this.end)) return;
+        const value = isWall ? WALL : 0;
+        if (this.grid[cell.x][cell.y] === value) return;
+        this.grid[cell.x][cell.y] = value;
+        this.setEdited(true);
+        this.gridDirty = true;
+        this.prepareSearch();
+        this.requestRender();
+    }
+
+    onKeyDown(e) {
+        if (!this.interactive) return;
+        if (!this.cursor) this.cursor = this.start ? { x: this.start.x, y: this.start.y } : { x: 0, y: this.topRow };
+        const moves = { ArrowUp: [0, -1], ArrowDown: [0, 1], ArrowLeft: [-1, 0], ArrowRight: [1, 0] };
+        if (moves[e.key]) {
+            const next = { x: this.cursor.x + moves[e.key][0], y: this.cursor.y + moves[e.key][1] };
+            if (this.isEditable(next)) this.cursor = next;
+        } else if (e.key === ' ') {
+            this.setWall(this.cursor, this.grid[this.cursor.x][this.cursor.y] !== WALL);
+        } else if (e.key === 's' || e.key === 'S') {
+            this.moveEndpoint('start', this.cursor);
+        } else if (e.key === 'e' || e.key === 'E') {
+            this.moveEndpoint('end', this.cursor);
+        } else if (e.key === 'Enter') {
+            this.run();
+        } else if (e.key === 'n' || e.key === 'N') {
+            this.step();
+        } else if (e.key === 'Escape') {
+            this.canvas.dispatchEvent(new CustomEvent('visualizer:exit', { bubbles: true }));
+        } else {
+            return;
+        }
+        e.preventDefault();
+        this.requestRender();
+    }
+
+    // --- Frame loop ---
+
+    isAnimating() {
+        return this.state === 'generating' || (this.state === 'searching' && this.autoRun);
+    }
+
+    // Schedules a single frame; the loop only keeps itself going while something is animating
+    requestRender() {
+        if (this.animationFrameId || this.hidden || this.offscreen) return;
+        this.animationFrameId = requestAnimationFrame((t) => this.animate(t));
+    }
+
+    cancelRender() {
+        if (this.animationFrameId) cancelAnimationFrame(this.animationFrameId);
+        this.animationFrameId = null;
+    }
+
+    setPaused(hidden, offscreen) {
+        this.hidden = hidden;
+        this.offscreen = offscreen;
+        if (hidden || offscreen) this.cancelRender();
+        else this.requestRender();
+    }
+
+    // Runs generation and any automatic search straight to the end, for reduced motion
+    settle() {
+        while (this.state === 'generating') this.generationStep();
+        while (this.state === 'searching' && this.autoRun) this.searchStep();
+    }
+
+    animate(timestamp) {
+        this.animationFrameId = null;
+        if (this.reducedMotion.matches) {
+            this.settle();
+        } else if (this.state === 'generating') {
+            this.generationStep();
+        } else if (this.state === 'searching' && this.autoRun) {
+            if (!this.lastUpdateTime || timestamp - this.lastUpdateTime > this.searchSpeed) {
+                this.searchStep();
+                this.lastUpdateTime = timestamp;
+            }
+        }
+        this.draw();
+        if (this.isAnimating()) this.requestRender();
+    }
+}
+
+
+export function setupPathfindingVisualizer(root, options) {
+    const canvas = root.querySelector('#pathfinding-canvas');
+    if (canvas) {
+        const replay = readRunFromUrl(window.location.search);
+        const visualizer = new PathfindingVisualizer(canvas, { ...options, replay });
+        setupVisualizerControls(root, visualizer);
+        setupShareRun(root, visualizer);
+    }
+}
+
+function setupShareRun(root, visualizer) {
+    const shareButton = root.querySelector('.share-run');
+    if (!shareButton) return;
+    const icon = shareButton.querySelector('i');
+    // A link only regenerates the grid, so it is unavailable while the visitor's edits are on it
+    visualizer.canvas.addEventListener('visualizer:edited', ({ detail }) => {
+        const label = detail.edited ? 'header.shareRunEdited' : 'header.shareRun';
+        shareButton.disabled = detail.edited;
+        shareButton.dataset.i18nAriaLabel = label;
+        shareButton.dataset.i18nTitle = label;
+        shareButton.setAttribute('aria-label', t(label));
+        shareButton.setAttribute('title', t(label));
+    });
+    shareButton.addEventListener('click', async () => {
+        const url = buildRunUrl(visualizer.getRunState(), window.location);
+        try {
+            await navigator.clipboard.writeText(url);
+            icon.classList.replace('fa-link', 'fa-check');
+            shareButton.setAttribute('aria-label', t('header.linkCopied'));
+            setTimeout(() => {
+                icon.classList.replace('fa-check', 'fa-link');
+                shareButton.setAttribute('aria-label', t('header.shareRun'));
+            }, 2000);
+        } catch (error) {
+            // Clipboard access can be denied (insecure context, permissions); let the visitor copy it
+            window.prompt(t('header.copyPrompt'), url);
+        }
+    });
+}
+
+function setupVisualizerControls(root, visualizer) {
+    const toggle = root.querySelector('.visualizer-toggle');
+    const controls = root.querySelector('#visualizer-controls');
+    const algorithmSelect = root.querySelector('#visualizer-algorithm');
+    const mazeSelect = root.querySelector('#visualizer-maze');
+    if (!toggle || !controls) return;
+
+    // Labelled through data-i18n, so they are translated again when the language changes
+    const addOptions = (select, registry, prefix) => Object.keys(registry).forEach(name => {
+        const option = new Option(t(`${prefix}.${name}`), name);
+        option.dataset.i18n = `${prefix}.${name}`;
+        select.add(option);
+    });
+    addOptions(algorithmSelect, SEARCH_STRATEGIES, 'visualizer.algorithms');
+    addOptions(mazeSelect, MAZE_GENERATORS, 'visualizer.mazes');
+
+    const setMode = (enabled) => {
+        document.body.classList.toggle('visualizer-interactive', enabled);
+        toggle.setAttribute('aria-pressed', String(enabled));
+        controls.hidden = !enabled;
+        visualizer.setInteractive(enabled);
+        if (enabled) {
+            algorithmSelect.value = visualizer.algorithm;
+            mazeSelect.value = visualizer.maze;
+            visualizer.canvas.focus();
+        } else {
+            toggle.focus();
+        }
+    };
+
+    toggle.addEventListener('click', () => setMode(!visualizer.interactive));
+    visualizer.canvas.addEventListener('visualizer:exit', () => setMode(false));
+    algorithmSelect.addEventListener('change', () => visualizer.setAlgorithm(algorithmSelect.value));
+    controls.addEventListener('click', (e) => {
+        const button = e.target.closest('button[data-action]');
+        if (!button) return;
+        const action = button.dataset.action;
+        if (action === 'run') visualizer.run();
+        else if (action === 'step') visualizer.step();
+        else if (action === 'clear') visualizer.clearWalls();
+        else if (action === 'generate') visualizer.generate(mazeSelect.value);
+        else if (action === 'exit') setMode(false);
+    });
+}
@@ -0,0 +1,129 @@
+// Service worker: precaches the app shell and images so the portfolio, including the CV, works offline, and caches
+// CDN icons and fonts the first time they are used. Contact messages sent offline are queued by js/contact.js.
+
+const CACHE_VERSION = 'dev'; // build.js replaces this with a hash of the published files
+const SHELL_CACHE = `shell-${CACHE_VERSION}`;
+const CDN_CACHE = 'cdn-v1';
+const CDN_CACHE_LIMIT = 80;
+
+const APP_SHELL = [
+    './',
+    'index.html',
+    'style.css',
+    'js/analytics.js',
+    'js/blog.js',
+    'js/config.js',
+    'js/contact.js',
+    'js/content.js',
+    'js/i18n.js',
+    'js/main.js',
+    'js/markdown.js',
+    'js/mazes.js',
+    'js/render.js',
+    'js/scroll.js',
+    'js/search.js',
+    'js/sections.js',
+    'js/stats.js',
+    'js/theme.js',
+    'js/visualizer.js',
+    'content.json',
+    'manifest.webmanifest',
+    'assets/icon.svg',
+    'assets/icon-192.png',
+    'assets/icon-512.png',
+    'assets/charuProfile.png',
+    'assets/AIwasteclassifier.png',
+    'assets/aqualearn.png',
+    'assets/codehint.png'
+];
+
+// Skill icons (devicon), Font Awesome and the Poppins font
+const CDN_HOSTS = ['cdn.jsdelivr.net', 'cdnjs.cloudflare.com', 'fonts.googleapis.com', 'fonts.gstatic.com'];
+
+// Stands in for a skill icon that is neither cached nor reachable
+const FALLBACK_ICON = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 24 24" fill="none" stroke="#a1a1aa" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polyline points="16 18 22 12 16 6"/><polyline points="8 6 2 12 8 18"/></svg>`;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(SHELL_CACHE)
+        .then(cache => cache.addAll(APP_SHELL))
+        .then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(caches.keys()
+        .then(keys => Promise.all(keys
+            .filter(key => key.startsWith('shell-') && key !== SHELL_CACHE)
+            .map(key => caches.delete(key))))
+        .then(() => self.clients.claim()));
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return; // Contact submissions go straight to the network
+    const url = new URL(request.url);
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request));
+    } else if (url.origin === self.location.origin) {
+        event.respondWith(/\.(json|md)$/.test(url.pathname) ? networkFirst(request) : staleWhileRevalidate(request));
+    } else if (CDN_HOSTS.includes(url.hostname)) {
+        event.respondWith(cacheFirst(request));
+    }
+});
+
+// Pages and content: fresh when online, the precached copy otherwise. Shared run links such as
+// ?seed=... fall back to the plain page.
+async function networkFirst(request) {
+    try {
+        const response = await fetch(request);
+        if (response.ok && request.mode !== 'navigate') {
+            const cache = await caches.open(SHELL_CACHE);
+            await cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await caches.match(request, { ignoreSearch: request.mode === 'navigate' });
+        return cached || (request.mode === 'navigate' ? caches.match('index.html') : Response.error());
+    }
+}
+
+async function staleWhileRevalidate(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request);
+    const update = fetch(request)
+        .then(response => {
+            if (response.ok) cache.put(request, response.clone());
+            return response;
+        })
+        .catch(() => cached || Response.error());
+    return cached || update;
+}
+
+// CDN files are versioned, so a cached copy never goes stale
+async function cacheFirst(request) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+    try {
+        const response = await fetch(request);
+        // <img> requests without CORS come back opaque; they can still be cached, just not inspected
+        if (response.ok || response.type === 'opaque') {
+            const cache = await caches.open(CDN_CACHE);
+            await cache.put(request, response.clone());
+            trimCache(cache, CDN_CACHE_LIMIT);
+        }
+        return response;
+    } catch (error) {
+        if (request.destination === 'image') {
+            return new Response(FALLBACK_ICON, { headers: { 'Content-Type': 'image/svg+xml' } });
+        }
+        if (request.destination === 'style') {
+            return new Response('/* Offline: stylesheet unavailable */', { headers: { 'Content-Type': 'text/css' } });
+        }
+        return Response.error();
+    }
+}
+
+async function trimCache(cache, limit) {
+    const keys = await cache.keys();
+    // Oldest entries first
+    await Promise.all(keys.slice(0, Math.max(0, keys.length - limit)).map(key => cache.delete(key)));
+}
@@ -0,0 +1,85 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupAnalytics } from '../js/analytics.js';
+import { loadPage } from './helpers/page.js';
+
+const SETTINGS = { enabled: true, sink: 'beacon', endpoint: 'https://example.com/events', batchSize: 3, flushSeconds: 30 };
+let window;
+let beacons;
+
+// A fresh page per test, since setupAnalytics() listens on the page it was given
+beforeEach(() => {
+    window = loadPage();
+    beacons = [];
+    navigator.sendBeacon = (url, body) => {
+        beacons.push({ url, events: JSON.parse(body).events });
+        return true;
+    };
+});
+
+afterEach(() => window.close());
+
+const emit = (name, detail) => document.dispatchEvent(new CustomEvent(name, { detail }));
+
+test('events are sent in batches once batchSize is reached', () => {
+    setupAnalytics(document, SETTINGS);
+    emit('section:change', { id: 'about' });
+    emit('section:change', { id: 'projects' });
+    assert.equal(beacons.length, 0);
+    emit('contact:outcome', { outcome: 'sent' });
+    assert.equal(beacons.length, 1);
+    assert.equal(beacons[0].url, SETTINGS.endpoint);
+    assert.deepEqual(beacons[0].events.map(({ name, section, outcome }) => [name, section || outcome]),
+        [['section-view', 'about'], ['section-view', 'projects'], ['contact', 'sent']]);
+    assert.equal(beacons[0].events[0].page, '/');
+});
+
+test('whatever is queued is sent when the page is hidden', () => {
+    setupAnalytics(document, SETTINGS);
+    emit('section:change', { id: 'about' });
+    window.dispatchEvent(new window.Event('pagehide'));
+    assert.equal(beacons.length, 1);
+    assert.equal(beacons[0].events.length, 1);
+});
+
+test('only theme changes after the initial one count as choices', () => {
+    setupAnalytics(document, { ...SETTINGS, batchSize: 1 });
+    emit('theme:change', { palette: 'amber', mode: 'system', resolvedMode: 'dark' });
+    emit('theme:change', { palette: 'amber', mode: 'system', resolvedMode: 'light' });
+    assert.equal(beacons.length, 0);
+    emit('theme:change', { palette: 'rose', mode: 'system', resolvedMode: 'light' });
+    assert.equal(beacons.length, 1);
+    assert.equal(beacons[0].events[0].palette, 'rose');
+});
+
+test('project links and the CV link are recorded', () => {
+    setupAnalytics(document, { ...SETTINGS, batchSize: 1 });
+    document.querySelector('#projects-grid').innerHTML =
+        '<a href="#projects/aqualearn">AquaLearn</a><a href="https://github.com/" data-project="aqualearn" data-link="github">Code</a>';
+    const click = (element) => element.dispatchEvent(new window.MouseEvent('click', { bubbles: true, cancelable: true }));
+    document.addEventListener('click', (e) => e.preventDefault());
+    document.querySelectorAll('#projects-grid a').forEach(click);
+    click(document.querySelector('#download-cv'));
+    assert.deepEqual(beacons.map(({ events: [event] }) => [event.name, event.project, event.link]), [
+        ['project-link', 'aqualearn', 'details'],
+        ['project-link', 'aqualearn', 'github'],
+        ['cv-view', undefined, undefined]
+    ]);
+});
+
+test('nothing is recorded with Do Not Track on', () => {
+    Object.defineProperty(navigator, 'doNotTrack', { value: '1', configurable: true });
+    setupAnalytics(document, { ...SETTINGS, batchSize: 1 });
+    emit('section:change', { id: 'about' });
+    window.dispatchEvent(new window.Event('pagehide'));
+    assert.equal(beacons.length, 0);
+});
+
+test('the local sink keeps events in localStorage', () => {
+    setupAnalytics(document, { ...SETTINGS, sink: 'local', endpoint: '', batchSize: 1 });
+    emit('contact:outcome', { outcome: 'invalid', fields: ['email'] });
+    const [event] = JSON.parse(localStorage.getItem('analyticsLog'));
+    assert.equal(event.name, 'contact');
+    assert.deepEqual(event.fields, ['email']);
+    assert.equal(document.cookie, '');
+});
@@ -0,0 +1,108 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage, serveRepository } from './helpers/page.js';
+
+const { config } = await import('../js/config.js');
+const { loadPosts, parseFrontMatter } = await import('../js/content.js');
+const { setupBlog } = await import('../js/blog.js');
+const { populateData } = await import('../js/render.js');
+
+let window;
+
+async function navigate(hash) {
+    const changed = new Promise(resolve => window.addEventListener('hashchange', resolve, { once: true }));
+    window.location.hash = hash;
+    await changed;
+}
+
+beforeEach(async () => {
+    window = loadPage();
+    serveRepository();
+    populateData(document, config);
+});
+
+afterEach(() => {
+    delete globalThis.fetch;
+    window.close();
+});
+
+const visibleCards = () => [...document.querySelectorAll('#blog-list .post-card:not([hidden])')].map(card => card.dataset.slug);
+
+test('front matter is read from between the --- lines', () => {
+    const { attributes, body } = parseFrontMatter('---\ntitle: "Hello: world"\ndate: 2025-01-02\ntags: [a, b c]\nprojects:\n  - one\n  - two\n---\n# Body\n');
+    assert.deepEqual(attributes, { title: 'Hello: world', date: '2025-01-02', tags: ['a', 'b c'], projects: ['one', 'two'] });
+    assert.equal(body, '# Body\n');
+    assert.equal(parseFrontMatter('# No front matter'), null);
+});
+
+test('posts are validated against the schema and the projects they link to', async () => {
+    const posts = {
+        'bad.md': '---\ntitle: Bad\ndate: 2025-13-01\ntags: [x]\nprojects: [no-such-project]\n---\n',
+        'none.md': 'No front matter'
+    };
+    await assert.rejects(loadPosts(Object.keys(posts), async (file) => posts[file], config), (error) => {
+        assert.match(error.message, /bad\.md: date: "2025-13-01" is not a YYYY-MM-DD date/);
+        assert.match(error.message, /none\.md: has no front matter/);
+        return true;
+    });
+    const good = { 'older.md': '---\ntitle: Old\ndate: 2024-01-01\ntags: []\n---\n', 'newer.md': '---\ntitle: New\ndate: 2025-01-01\ntags: []\nprojects: [aqualearn]\n---\n' };
+    const loaded = await loadPosts(Object.keys(good), async (file) => good[file], config);
+    assert.deepEqual(loaded.map(post => post.slug), ['newer', 'older']);
+    await assert.rejects(loadPosts(['x.md'], async () => '---\ntitle: X\ndate: 2024-01-01\ntags: []\nprojects: [nope]\n---\n', config),
+        /"nope" is not the slug of a project/);
+});
+
+test('the list shows every post, newest first, and filters by tag', async () => {
+    await setupBlog(document, config.blog, config);
+    assert.deepEqual(visibleCards(), ['codehint-assistant', 'waste-classification']);
+    document.querySelector('#blog-filter .filter-chip[data-tag="python"]').click();
+    assert.deepEqual(visibleCards(), ['waste-classification']);
+    assert.equal(document.querySelector('#blog-filter .filter-chip[data-tag="python"]').getAttribute('aria-pressed'), 'true');
+    assert.equal(document.querySelector('#blog-empty').hidden, true);
+    document.querySelector('#blog-filter .filter-chip[data-tag=""]').click();
+    assert.equal(visibleCards().length, 2);
+});
+
+test('a post route shows the post with its table of contents and highlighted code', async () => {
+    await setupBlog(document, config.blog, config);
+    await navigate('#blog/codehint-assistant');
+    const article = document.querySelector('#blog-post');
+    assert.equal(article.hidden, false);
+    assert.equal(document.querySelector('#blog-list').hidden, true);
+    assert.match(article.querySelector('#blog-post-title').textContent, /CodeHint Assistant/);
+    const tocLinks = [...article.querySelectorAll('.post-toc a')].map(link => link.getAttribute('href'));
+    assert.ok(tocLinks.includes('#blog/codehint-assistant/post-why-a-backend-at-all'));
+    assert.ok(article.querySelector('#post-why-a-backend-at-all'));
+    assert.ok(article.querySelector('.code-block .token-keyword'));
+
+    await navigate('#blog');
+    assert.equal(article.hidden, true);
+    assert.equal(document.querySelector('#blog-list').hidden, false);
+});
+
+test('unknown posts say so', async () => {
+    await setupBlog(document, config.blog, config);
+    await navigate('#blog/no-such-post');
+    assert.equal(document.querySelector('#blog-post [data-i18n="blog.notFound"]').hidden, false);
+});
+
+test('a malformed hash is not a post route', async () => {
+    await setupBlog(document, config.blog, config);
+    await navigate('#blog/codehint-assistant');
+    await navigate('#%');
+    assert.equal(document.querySelector('#blog-post').hidden, true);
+    assert.equal(document.querySelector('#blog-list').hidden, false);
+});
+
+test('project cards link to their related posts', async () => {
+    await setupBlog(document, config.blog, config);
+    const related = document.querySelector('.project-posts[data-posts-for="codehint-assistant"]');
+    assert.equal(related.hidden, false);
+    assert.equal(related.querySelector('a').getAttribute('href'), '#blog/codehint-assistant');
+    assert.equal(document.querySelector('.project-posts[data-posts-for="aqualearn"]').hidden, true);
+});
+
+test('a missing manifest leaves a message instead of the list', async () => {
+    await setupBlog(document, { manifest: 'missing/index.json' }, config);
+    assert.equal(document.querySelector('#blog-list [data-i18n="blog.unavailable"]').textContent, "Posts couldn't be loaded right now.");
+});
@@ -0,0 +1,148 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage } from './helpers/page.js';
+
+loadPage();
+const { flushContactQueue, handleFormSubmit } = await import('../js/contact.js');
+
+const SETTINGS = { transport: 'formspree', endpoint: 'https://example.com/form', minSubmitSeconds: 3 };
+const form = document.querySelector('#contact-form');
+const status = form.querySelector('#contact-status');
+let requests;
+
+function respondWith(respond) {
+    globalThis.fetch = async (url, init) => {
+        requests.push({ url, init });
+        return respond();
+    };
+}
+
+function fillForm(fields) {
+    Object.entries({ name: 'Ada', email: 'ada@example.com', request_type: 'Open Source', message: 'Hello there, shall we collaborate?', ...fields })
+        .forEach(([name, value]) => { form.elements[name].value = value; });
+}
+
+const submit = () => handleFormSubmit({ preventDefault() {}, target: form }, SETTINGS);
+
+beforeEach(() => {
+    requests = [];
+    localStorage.clear();
+    form.reset();
+    form.dataset.renderedAt = String(Date.now() - 60_000);
+});
+
+afterEach(() => {
+    delete globalThis.fetch;
+});
+
+test('a valid message is posted to the endpoint and the form is cleared', async () => {
+    respondWith(() => new Response('{}', { status: 200 }));
+    fillForm();
+    await submit();
+    assert.equal(requests.length, 1);
+    assert.equal(requests[0].url, SETTINGS.endpoint);
+    assert.equal(requests[0].init.body.get('email'), 'ada@example.com');
+    assert.equal(requests[0].init.body.has('_gotcha'), false);
+    assert.equal(status.className, 'success');
+    assert.equal(form.elements.name.value, '');
+});
+
+test('invalid fields are flagged without sending anything', async () => {
+    respondWith(() => new Response('{}', { status: 200 }));
+    fillForm({ email: 'not-an-email', message: 'Hi' });
+    await submit();
+    assert.equal(requests.length, 0);
+    assert.equal(form.elements.email.getAttribute('aria-invalid'), 'true');
+    assert.equal(form.querySelector('#email-error').hidden, false);
+    assert.equal(form.elements.message.getAttribute('aria-invalid'), 'true');
+    assert.equal(form.elements.name.getAttribute('aria-invalid'), 'false');
+});
+
+test('errors reported by the service are shown on their fields', async () => {
+    respondWith(() => new Response(JSON.stringify({ errors: [{ field: 'email', message: 'should be a real address' }] }), { status: 422 }));
+    fillForm();
+    await submit();
+    assert.equal(status.className, 'error');
+    assert.equal(status.getAttribute('aria-live'), 'assertive');
+    assert.equal(form.querySelector('#email-error').textContent, 'should be a real address');
+    assert.equal(form.elements.message.value, 'Hello there, shall we collaborate?');
+});
+
+test('network failures are queued to be sent later', async () => {
+    respondWith(() => { throw new TypeError('Failed to fetch'); });
+    fillForm();
+    await submit();
+    const queue = JSON.parse(localStorage.getItem('contactQueue'));
+    assert.equal(queue.length, 1);
+    assert.equal(queue[0].payload.name, 'Ada');
+    assert.equal(status.className, 'info');
+});
+
+test('submissions faster than minSubmitSeconds are treated as bots', async () => {
+    respondWith(() => new Response('{}', { status: 200 }));
+    form.dataset.renderedAt = String(Date.now());
+    fillForm();
+    await submit();
+    assert.equal(requests.length, 0);
+    assert.equal(status.className, 'success');
+});
+
+test('each outcome is published as contact:outcome', async () => {
+    const outcomes = [];
+    document.addEventListener('contact:outcome', ({ detail }) => outcomes.push(detail));
+    respondWith(() => new Response('{}', { status: 200 }));
+    fillForm({ message: '' });
+    await submit();
+    fillForm();
+    await submit();
+    respondWith(() => new Response('{}', { status: 503 }));
+    fillForm();
+    await submit();
+    assert.deepEqual(outcomes, [{ outcome: 'invalid', fields: ['message'] }, { outcome: 'sent' }, { outcome: 'queued' }]);
+});
+
+test('overlapping flushes send each queued message once', async () => {
+    localStorage.setItem('contactQueue', JSON.stringify([{ payload: { name: 'Ada', email: 'ada@example.com', message: 'Queued earlier' }, queuedAt: 1 }]));
+    respondWith(() => new Response('{}', { status: 200 }));
+    await Promise.all([flushContactQueue(form, SETTINGS), flushContactQueue(form, SETTINGS)]);
+    assert.equal(requests.length, 1);
+    assert.equal(localStorage.getItem('contactQueue'), null);
+});
+
+test('messages queued during a flush are kept for the next one', async () => {
+    const later = { payload: { name: 'Grace', email: 'grace@example.com', message: 'Queued meanwhile' }, queuedAt: 2 };
+    localStorage.setItem('contactQueue', JSON.stringify([{ payload: { name: 'Ada', email: 'ada@example.com', message: 'Queued earlier' }, queuedAt: 1 }]));
+    respondWith(() => {
+        const queue = JSON.parse(localStorage.getItem('contactQueue'));
+        localStorage.setItem('contactQueue', JSON.stringify([...queue, later]));
+        return new Response('{}', { status: 200 });
+    });
+    await flushContactQueue(form, SETTINGS);
+    assert.deepEqual(JSON.parse(localStorage.getItem('contactQueue')), [later]);
+});
+
+test('offline messages are not queued for the mailto transport', async () => {
+    Object.defineProperty(navigator, 'onLine', { value: false, configurable: true });
+    try {
+        fillForm();
+        await handleFormSubmit({ preventDefault() {}, target: form }, { ...SETTINGS, transport: 'mailto', email: 'me@example.com' });
+    } finally {
+        delete navigator.onLine;
+    }
+    assert.equal(localStorage.getItem('contactQueue'), null);
+    assert.equal(status.className, 'success');
+});
+
+test('the queue is left alone while a transport override is in the URL', async () => {
+    const queue = [{ payload: { name: 'Ada', email: 'ada@example.com', message: 'Queued earlier' }, queuedAt: 1 }];
+    localStorage.setItem('contactQueue', JSON.stringify(queue));
+    respondWith(() => new Response('{}', { status: 200 }));
+    window.history.replaceState(null, '', '?contact=mock');
+    try {
+        await flushContactQueue(form, SETTINGS);
+    } finally {
+        window.history.replaceState(null, '', '/');
+    }
+    assert.equal(requests.length, 0);
+    assert.deepEqual(JSON.parse(localStorage.getItem('contactQueue')), queue);
+});
@@ -0,0 +1,50 @@
+// Loads index.html into jsdom and installs its window as the globals the site's modules expect,
+// filling in the browser APIs jsdom doesn't implement.
+
+import fs from 'node:fs';
+import { JSDOM } from 'jsdom';
+
+const ROOT = new URL('../../', import.meta.url);
+const INDEX_HTML = fs.readFileSync(new URL('index.html', ROOT), 'utf8');
+
+const GLOBALS = [
+    'window', 'document', 'localStorage', 'navigator', 'location', 'CustomEvent', 'Event', 'KeyboardEvent',
+    'Node', 'FormData', 'Option', 'MutationObserver', 'getComputedStyle'
+];
+
+class StubIntersectionObserver {
+    observe() {}
+    unobserve() {}
+    disconnect() {}
+}
+
+export function loadPage({ url = 'http://localhost/', matches = () => false } = {}) {
+    const { window } = new JSDOM(INDEX_HTML, { url, pretendToBeVisual: true });
+    window.matchMedia = (media) => ({ media, matches: matches(media), addEventListener() {}, removeEventListener() {} });
+    window.IntersectionObserver = StubIntersectionObserver;
+    window.CSS = { escape: (value) => value.replace(/["\\]/g, '\\$&') };
+    window.Element.prototype.scrollIntoView = () => {};
+    GLOBALS.forEach(name => {
+        Object.defineProperty(globalThis, name, { value: window[name], configurable: true, writable: true });
+    });
+    Object.assign(globalThis, {
+        IntersectionObserver: window.IntersectionObserver,
+        CSS: window.CSS,
+        requestAnimationFrame: (callback) => setTimeout(callback, 0),
+        cancelAnimationFrame: clearTimeout
+    });
+    return window;
+}
+
+// Stubs fetch to answer with the repository's own files, as a static server would. pathFor maps each
+// requested URL to a path in the repository, its own path by default. Returns the requested URLs.
+export function serveRepository(pathFor = (url) => url.pathname) {
+    const requests = [];
+    globalThis.fetch = async (input) => {
+        const url = new URL(input);
+        requests.push(url.href);
+        const file = new URL(`.${pathFor(url)}`, ROOT);
+        return fs.existsSync(file) ? new Response(fs.readFileSync(file)) : new Response('', { status: 404 });
+    };
+    return requests;
+}
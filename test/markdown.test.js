@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { highlightCode, markdownExcerpt, markdownToHtml } from '../js/markdown.js';
+
+const render = (markdown, options) => String(markdownToHtml(markdown, options).markup);
+
+test('blocks and inline syntax become markup', () => {
+    assert.equal(render('Some **bold _and_ italic** `code`\nstill the same paragraph'),
+        '<p>Some <strong>bold <em>and</em> italic</strong> <code>code</code> still the same paragraph</p>');
+    assert.equal(render('- one\n- two\n  wrapped\n\n1. first'), '<ul><li>one</li><li>two wrapped</li></ul><ol><li>first</li></ol>');
+    assert.equal(render('> quoted\n\n---'), '<blockquote><p>quoted</p></blockquote><hr>');
+    assert.equal(render('snake_case_name stays'), '<p>snake_case_name stays</p>');
+});
+
+test('markup in a post is escaped, and unsafe links dropped', () => {
+    assert.equal(render('<script>alert(1)</script>'), '<p>&lt;script&gt;alert(1)&lt;/script&gt;</p>');
+    assert.equal(render('[click](javascript:alert)'), '<p><a href="#">click</a></p>');
+    assert.equal(render('[site](https://example.com)'), '<p><a href="https://example.com" target="_blank" rel="noopener noreferrer">site</a></p>');
+    assert.equal(render('![shot](javascript:alert)'), '<p><img src="#" alt="shot" loading="lazy"></p>');
+});
+
+test('headings get unique prefixed ids and shifted levels for the table of contents', () => {
+    const { markup, headings } = markdownToHtml('## Why **this**\n\n### Details\n\n## Why this', { idPrefix: 'post-', headingOffset: 2 });
+    assert.deepEqual(headings, [
+        { level: 2, id: 'post-why-this', text: 'Why this' },
+        { level: 3, id: 'post-details', text: 'Details' },
+        { level: 2, id: 'post-why-this-2', text: 'Why this' }
+    ]);
+    assert.match(String(markup), /^<h4 id="post-why-this">Why <strong>this<\/strong><\/h4><h5 id="post-details">/);
+});
+
+test('relative links and images resolve against baseUrl', () => {
+    assert.equal(render('![cover](assets/a.png) [project](#projects/x)', { baseUrl: 'https://example.com/site/' }),
+        '<p><img src="https://example.com/site/assets/a.png" alt="cover" loading="lazy"> <a href="https://example.com/site/#projects/x">project</a></p>');
+});
+
+test('fenced code is highlighted by language and escaped', () => {
+    assert.equal(String(highlightCode('const a = "<b>"; // done', 'javascript')),
+        '<span class="token-keyword">const</span> a = <span class="token-string">&quot;&lt;b&gt;&quot;</span>; <span class="token-comment">// done</span>');
+    assert.equal(String(highlightCode('def f(): return 1  # one', 'py')),
+        '<span class="token-keyword">def</span> f(): <span class="token-keyword">return</span> <span class="token-number">1</span>  <span class="token-comment"># one</span>');
+    assert.equal(String(highlightCode('if <x>', 'brainfuck')), 'if &lt;x&gt;');
+    assert.equal(render('```js\nlet x\n```'), '<pre class="code-block" data-language="js"><code><span class="token-keyword">let</span> x</code></pre>');
+});
+
+test('the excerpt is the first paragraph as plain text', () => {
+    assert.equal(markdownExcerpt('## Heading\n\nA [linked](https://example.com) **intro**.\n\nMore.'), 'A linked intro.');
+});
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage } from './helpers/page.js';
+
+loadPage();
+const { config } = await import('../js/config.js');
+const render = await import('../js/render.js');
+const { populateData, readPrerenderedContent } = render;
+
+test('populateData renders the content into a page root', () => {
+    populateData(document, config);
+    assert.equal(render.currentContent, config);
+    assert.equal(document.querySelector('#hero-title').textContent, config.title);
+    assert.equal(document.querySelectorAll('#projects-grid .project-card').length, config.projects.length);
+    assert.equal(document.querySelectorAll('#resume-timeline .timeline-item').length, config.resume.timeline.length);
+    const title = document.querySelector('#html-title');
+    assert.equal(title.dataset.i18n, 'page.title');
+    assert.match(title.textContent, new RegExp(config.name));
+});
+
+test('content text is escaped rather than parsed as markup', () => {
+    const root = document.cloneNode(true);
+    populateData(root, { ...config, title: '<img src=x onerror=alert(1)>' });
+    const heroTitle = root.querySelector('#hero-title');
+    assert.equal(heroTitle.querySelector('img'), null);
+    assert.equal(heroTitle.textContent, '<img src=x onerror=alert(1)>');
+});
+
+test('timeline bullets are plain text, with the linked projects labelled by the template', () => {
+    const root = document.cloneNode(true);
+    const [entry, ...rest] = config.resume.timeline;
+    populateData(root, { ...config, resume: { timeline: [{ ...entry, bullets: ['<b>Bold</b> claim'] }, ...rest] } });
+    const item = root.querySelector('#resume-timeline .timeline-item');
+    assert.equal(item.querySelector('.timeline-bullets b'), null);
+    assert.equal(item.querySelector('.timeline-bullets li').textContent, '<b>Bold</b> claim');
+    assert.deepEqual([...item.querySelectorAll('.timeline-links a')].map(link => link.textContent),
+        entry.projects.map(slug => config.projects.find(project => project.slug === slug).title));
+});
+
+test('unsafe project links are dropped', () => {
+    const root = document.cloneNode(true);
+    const projects = config.projects.map(project => ({ ...project, links: { github: 'javascript:alert(1)', live: '#' } }));
+    populateData(root, { ...config, projects });
+    assert.ok([...root.querySelectorAll('#projects-grid a')].every(link => !link.href.startsWith('javascript:')));
+});
+
+test('prerendered pages carry the content they were rendered from', () => {
+    const root = document.createElement('div');
+    assert.equal(readPrerenderedContent(root), null);
+    root.innerHTML = `<script type="application/json" id="prerendered-content">${JSON.stringify({ name: 'Prerendered' })}</script>`;
+    assert.deepEqual(readPrerenderedContent(root), { name: 'Prerendered' });
+});
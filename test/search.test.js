@@ -0,0 +1,67 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GridSearch, SEARCH_STRATEGIES, WALL, WEIGHT } from '../js/search.js';
+
+// Grids are written row by row for readability; GridSearch indexes them grid[x][y]
+function gridFrom(rows) {
+    return [...rows[0]].map((_, x) => rows.map(row => ({ '.': 0, '#': WALL, '~': WEIGHT })[row[x]]));
+}
+
+function runToEnd(search) {
+    let status;
+    do status = search.step(); while (status === 'searching');
+    return status;
+}
+
+test('bfs visits cells in breadth-first order', () => {
+    const search = new GridSearch({
+        grid: gridFrom(['...', '...', '...']), start: { x: 0, y: 0 }, end: { x: 2, y: 2 }, strategy: SEARCH_STRATEGIES.bfs
+    });
+    assert.equal(runToEnd(search), 'pathfound');
+    const order = search.newlyVisited.map(index => search.cellAt(index));
+    assert.deepEqual(order.slice(0, 3), [{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 0, y: 1 }]);
+    assert.equal(search.path.length, 5);
+});
+
+test('bfs finds the shortest path around walls', () => {
+    const search = new GridSearch({
+        grid: gridFrom(['...', '##.', '...']), start: { x: 0, y: 0 }, end: { x: 0, y: 2 }, strategy: SEARCH_STRATEGIES.bfs
+    });
+    assert.equal(runToEnd(search), 'pathfound');
+    assert.deepEqual(search.path, [
+        { x: 0, y: 0 }, { x: 1, y: 0 }, { x: 2, y: 0 }, { x: 2, y: 1 }, { x: 2, y: 2 }, { x: 1, y: 2 }, { x: 0, y: 2 }
+    ]);
+});
+
+test('a walled-off end finishes as done without a path', () => {
+    const search = new GridSearch({
+        grid: gridFrom(['..#', '.#.', '#..']), start: { x: 0, y: 0 }, end: { x: 2, y: 2 }, strategy: SEARCH_STRATEGIES.bfs
+    });
+    assert.equal(runToEnd(search), 'done');
+    assert.deepEqual(search.path, []);
+    assert.equal(search.step(), 'done');
+});
+
+test('rows above topRow are off limits', () => {
+    const search = new GridSearch({
+        grid: gridFrom(['...', '.#.', '...']), start: { x: 0, y: 1 }, end: { x: 2, y: 1 }, strategy: SEARCH_STRATEGIES.bfs, topRow: 1
+    });
+    assert.equal(runToEnd(search), 'pathfound');
+    assert.ok(search.path.every(cell => cell.y >= 1));
+    assert.equal(search.path.length, 5);
+});
+
+test('dijkstra goes around weights that bfs walks through', () => {
+    const options = { grid: gridFrom(['.~.', '...']), start: { x: 0, y: 0 }, end: { x: 2, y: 0 }, weightCost: 5 };
+    const bfs = new GridSearch({ ...options, strategy: SEARCH_STRATEGIES.bfs });
+    const dijkstra = new GridSearch({ ...options, strategy: SEARCH_STRATEGIES.dijkstra });
+    runToEnd(bfs);
+    runToEnd(dijkstra);
+    assert.ok(bfs.path.some(cell => cell.x === 1 && cell.y === 0));
+    assert.ok(dijkstra.path.every(cell => !(cell.x === 1 && cell.y === 0)));
+});
+
+test('a search without a start or end is done straight away', () => {
+    const search = new GridSearch({ grid: gridFrom(['..']), start: null, end: { x: 1, y: 0 }, strategy: SEARCH_STRATEGIES.astar });
+    assert.equal(search.step(), 'done');
+});
@@ -0,0 +1,86 @@
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage, serveRepository } from './helpers/page.js';
+
+const { config } = await import('../js/config.js');
+const { populateData } = await import('../js/render.js');
+const { setupStatsWidgets } = await import('../js/stats.js');
+
+const SETTINGS = config.stats;
+
+// The API responses are recorded in test/fixtures/stats by host and path,
+// e.g. test/fixtures/stats/api.github.com/repos/<owner>/<repo>.json
+const fixturePath = (url) => `/test/fixtures/stats/${url.hostname}${url.pathname.replace(/\/$/, '')}.json`;
+const HOUR = 60 * 60 * 1000;
+let window;
+let requests;
+
+// The widgets load in the background; the fixtures are served at once, so a short wait is enough
+const settled = () => new Promise(resolve => setTimeout(resolve, 20));
+
+const repoStats = (repo) => document.querySelector(`.project-stats[data-repo="${repo}"]`);
+
+function cacheStats(entries) {
+    localStorage.setItem('statsCache', JSON.stringify(entries));
+}
+
+beforeEach(() => {
+    window = loadPage();
+    requests = serveRepository(fixturePath);
+    populateData(document, config);
+});
+
+afterEach(() => {
+    delete globalThis.fetch;
+    localStorage.clear();
+    window.close();
+});
+
+test('project cards show stars, the last push and language shares', async () => {
+    setupStatsWidgets(document, SETTINGS, config);
+    await settled();
+    const stats = repoStats('charuhere/ChromeExtension');
+    assert.equal(stats.hidden, false);
+    assert.match(stats.textContent, /12 stars/);
+    assert.match(stats.textContent, /Updated \S/);
+    assert.match(stats.textContent, /JavaScript 78% · CSS 15% · HTML 7%/);
+    assert.match(repoStats('Nayeem-03/WasteClassification').textContent, /1 star\b/);
+    assert.equal(stats.querySelector('.stats-stale'), null);
+});
+
+test('the LeetCode widget shows the solved problems by difficulty', async () => {
+    setupStatsWidgets(document, SETTINGS, config);
+    await settled();
+    const widget = document.querySelector('#leetcode-stats');
+    assert.equal(widget.hidden, false);
+    assert.equal(widget.querySelector('.leetcode-total').textContent.trim(), '412 problems solved');
+    const levels = [...widget.querySelectorAll('.leetcode-level')].map(level => level.textContent);
+    assert.deepEqual(levels, ['Easy168', 'Medium201', 'Hard43']);
+    assert.equal(widget.querySelector('.leetcode-hard .leetcode-bar span').style.width, '10%');
+});
+
+test('fresh cached stats are shown without asking the API', async () => {
+    cacheStats({
+        'github:charuhere/ChromeExtension': { data: { stars: 99, pushedAt: '2025-05-18T16:45:09Z', languages: [] }, fetchedAt: Date.now() - HOUR }
+    });
+    setupStatsWidgets(document, SETTINGS, config);
+    await settled();
+    assert.match(repoStats('charuhere/ChromeExtension').textContent, /99 stars/);
+    assert.equal(requests.some(url => url.includes('ChromeExtension')), false);
+    assert.equal(requests.some(url => url.includes('WasteClassification')), true);
+});
+
+test('stale cached stats are shown with their age when the API fails', async () => {
+    cacheStats({
+        'leetcode:charu_here21': { data: { solved: 300, easy: 150, medium: 120, hard: 30 }, fetchedAt: Date.now() - 48 * HOUR }
+    });
+    globalThis.fetch = async () => new Response('', { status: 503 });
+    setupStatsWidgets(document, SETTINGS, config);
+    await settled();
+    const widget = document.querySelector('#leetcode-stats');
+    assert.equal(widget.hidden, false);
+    assert.match(widget.querySelector('.leetcode-total').textContent, /300 problems solved/);
+    assert.equal(widget.querySelector('.stats-stale').textContent, 'as of 2 days ago');
+    // Nothing was cached for the repositories, so their stats stay hidden
+    assert.equal(repoStats('charuhere/ChromeExtension').hidden, true);
+});
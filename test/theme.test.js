@@ -0,0 +1,48 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadPage } from './helpers/page.js';
+
+loadPage({ matches: (media) => media === '(prefers-color-scheme: light)' });
+const { THEMES, applyTheme, toCssVariables } = await import('../js/theme.js');
+
+beforeEach(() => localStorage.clear());
+
+test('palette keys become CSS variables, with hover read as --accent-hover-color', () => {
+    assert.deepEqual(toCssVariables({ accent: '#111', hover: '#222', bgSecondary: '#333' }), {
+        '--accent-color': '#111',
+        '--accent-hover-color': '#222',
+        '--bg-secondary-color': '#333'
+    });
+});
+
+test('applyTheme paints the chosen palette and caches it for the next visit', () => {
+    localStorage.setItem('colorPalette', 'forest');
+    localStorage.setItem('themeMode', 'dark');
+    applyTheme();
+    const { style } = document.documentElement;
+    assert.equal(style.getPropertyValue('--accent-color'), THEMES.forest.dark.accent);
+    assert.equal(style.colorScheme, 'dark');
+    assert.equal(document.querySelector('meta[name="theme-color"]').content, THEMES.forest.dark.accent);
+    const cache = JSON.parse(localStorage.getItem('themeCache'));
+    assert.equal(cache.mode, 'dark');
+    assert.deepEqual(cache.light, toCssVariables(THEMES.forest.light));
+});
+
+test('system mode follows the color scheme preference and is announced with theme:change', () => {
+    localStorage.setItem('themeMode', 'system');
+    let detail;
+    document.addEventListener('theme:change', (event) => { detail = event.detail; }, { once: true });
+    applyTheme();
+    assert.equal(detail.mode, 'system');
+    assert.equal(detail.resolvedMode, 'light');
+    assert.equal(detail.colors.accent, THEMES[detail.palette].light.accent);
+    assert.equal(document.documentElement.style.colorScheme, 'light');
+});
+
+test('an unknown saved palette falls back to the default', () => {
+    localStorage.setItem('colorPalette', 'no-such-palette');
+    let detail;
+    document.addEventListener('theme:change', (event) => { detail = event.detail; }, { once: true });
+    applyTheme();
+    assert.ok(THEMES[detail.palette]);
+});